@@ -0,0 +1,854 @@
+/**
+ * 配置文件加载模块
+ *
+ * - 解析 JSON 和 YAML (常用子集: 映射、列表、引号字符串、| 和 > 多行文本、行内 [] {})，
+ *   并记录每个配置路径所在的行号，便于错误定位
+ * - 多层配置深度合并 (如: 内置默认值 < 配置文件 < 环境变量)
+ * - 按 JSON Schema (draft-07 常用关键字) 校验配置结构
+ *
+ * 配置路径格式: settings.timezone、overrides[0].date
+ *
+ * 作者: CodeBuddy
+ * 功能: 为脚本提供带行号定位的配置加载与校验，不依赖第三方 npm 包
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 配置文件语法错误，带行号 (及列号)
+class ConfigSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(column ? `${message} (第 ${line} 行第 ${column} 列)` : `${message} (第 ${line} 行)`);
+        this.name = 'ConfigSyntaxError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+// 拼接配置路径，数字键表示数组下标
+function joinPath(parent, key) {
+    if (typeof key === 'number') {
+        return `${parent}[${key}]`;
+    }
+    return parent ? `${parent}.${key}` : String(key);
+}
+
+// 获取上一级配置路径
+function getParentPath(configPath) {
+    const match = /^(.*)(?:\.[^.[\]]*|\[\d+\])$/.exec(configPath);
+    return match ? match[1] : '';
+}
+
+// 查找配置路径所在的行号，路径本身没有记录时 (如缺少的字段) 使用最近的上级路径
+function findLine(positions, configPath) {
+    let current = configPath;
+    while (positions[current] === undefined) {
+        if (!current) {
+            return null;
+        }
+        current = getParentPath(current);
+    }
+    return positions[current];
+}
+
+// 判断是否为普通对象 (非数组、非 null)
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 解析 JSON 文本，返回 { value, positions }
+function parseJson(text) {
+    const positions = {};
+    const literalPattern = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+    let index = 0;
+    let line = 1;
+    let lineStart = 0;
+    
+    const fail = message => {
+        throw new ConfigSyntaxError(`JSON 语法错误: ${message}`, line, index - lineStart + 1);
+    };
+    const describeCurrent = () => index >= text.length ? '文件意外结束' : `意外的字符 '${text[index]}'`;
+    
+    const skipWhitespace = () => {
+        while (index < text.length) {
+            const char = text[index];
+            if (char === '\n') {
+                line++;
+                lineStart = index + 1;
+            } else if (char !== ' ' && char !== '\t' && char !== '\r') {
+                break;
+            }
+            index++;
+        }
+    };
+    
+    const parseString = () => {
+        const start = index;
+        index++;
+        while (index < text.length && text[index] !== '"') {
+            if (text[index] === '\n') {
+                fail('字符串中不能直接换行，请使用 \\n');
+            }
+            index += text[index] === '\\' ? 2 : 1;
+        }
+        if (index >= text.length) {
+            fail('字符串缺少结束引号');
+        }
+        index++;
+        try {
+            return JSON.parse(text.slice(start, index));
+        } catch (error) {
+            index = start;
+            return fail('字符串中有无效的转义字符');
+        }
+    };
+    
+    const parseValue = currentPath => {
+        skipWhitespace();
+        if (positions[currentPath] === undefined) {
+            positions[currentPath] = line;
+        }
+        
+        const char = text[index];
+        if (char === '{') {
+            return parseObject(currentPath);
+        }
+        if (char === '[') {
+            return parseArray(currentPath);
+        }
+        if (char === '"') {
+            return parseString();
+        }
+        
+        literalPattern.lastIndex = index;
+        const match = literalPattern.exec(text);
+        if (!match) {
+            return fail(describeCurrent());
+        }
+        index += match[0].length;
+        return JSON.parse(match[0]);
+    };
+    
+    const parseObject = currentPath => {
+        const result = {};
+        index++;
+        skipWhitespace();
+        if (text[index] === '}') {
+            index++;
+            return result;
+        }
+        
+        for (;;) {
+            skipWhitespace();
+            if (text[index] !== '"') {
+                fail(text[index] === '}' ? '对象末尾多余的逗号' : `${describeCurrent()}，应为带双引号的属性名`);
+            }
+            const keyLine = line;
+            const key = parseString();
+            skipWhitespace();
+            if (text[index] !== ':') {
+                fail(`${describeCurrent()}，属性名后应为冒号`);
+            }
+            index++;
+            
+            const childPath = joinPath(currentPath, key);
+            positions[childPath] = keyLine;
+            result[key] = parseValue(childPath);
+            
+            skipWhitespace();
+            if (text[index] === ',') {
+                index++;
+            } else if (text[index] === '}') {
+                index++;
+                return result;
+            } else {
+                fail(`${describeCurrent()}，应为逗号或 }`);
+            }
+        }
+    };
+    
+    const parseArray = currentPath => {
+        const result = [];
+        index++;
+        skipWhitespace();
+        if (text[index] === ']') {
+            index++;
+            return result;
+        }
+        
+        for (;;) {
+            skipWhitespace();
+            if (text[index] === ']') {
+                fail('数组末尾多余的逗号');
+            }
+            result.push(parseValue(joinPath(currentPath, result.length)));
+            
+            skipWhitespace();
+            if (text[index] === ',') {
+                index++;
+            } else if (text[index] === ']') {
+                index++;
+                return result;
+            } else {
+                fail(`${describeCurrent()}，应为逗号或 ]`);
+            }
+        }
+    };
+    
+    if (text.charCodeAt(0) === 0xFEFF) {
+        index = 1;
+    }
+    const value = parseValue('');
+    skipWhitespace();
+    if (index < text.length) {
+        fail(`多余的内容 ${describeCurrent()}`);
+    }
+    
+    return { value, positions };
+}
+
+// 去掉 YAML 行尾注释 (引号内的 # 不是注释)
+function stripYamlComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (quote === '"' && char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i).trimEnd();
+        }
+    }
+    return text.trimEnd();
+}
+
+// 解析 YAML 普通标量 (布尔值、null、数字，其余为字符串)
+function resolveYamlPlain(text) {
+    if (/^(true|True|TRUE)$/.test(text)) {
+        return true;
+    }
+    if (/^(false|False|FALSE)$/.test(text)) {
+        return false;
+    }
+    if (/^(null|Null|NULL|~)$/.test(text)) {
+        return null;
+    }
+    if (/^[-+]?(\d+|\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+        return Number(text);
+    }
+    return text;
+}
+
+// 解析 YAML 引号字符串，text 必须以引号开头；返回 { value, length }
+function readYamlQuoted(text, fail) {
+    const match = text[0] === '"' ?
+        /^"((?:[^"\\]|\\.)*)"/.exec(text) :
+        /^'((?:[^']|'')*)'/.exec(text);
+    if (!match) {
+        return fail('引号未闭合 (不支持跨行的引号字符串，多行内容请使用 |)');
+    }
+    if (text[0] === "'") {
+        return { value: match[1].replace(/''/g, "'"), length: match[0].length };
+    }
+    try {
+        return { value: JSON.parse(match[0]), length: match[0].length };
+    } catch (error) {
+        return fail('字符串中有无效的转义字符');
+    }
+}
+
+// 匹配 YAML 映射行 "键: 值"，返回 { key, rest }，不是映射行时返回 null
+function matchYamlKey(text, fail) {
+    if (text[0] === '"' || text[0] === "'") {
+        const quoted = readYamlQuoted(text, fail);
+        if (!quoted) {
+            return null;
+        }
+        const match = /^\s*:(?:\s+(.*))?$/.exec(text.slice(quoted.length));
+        return match ? { key: quoted.value, rest: match[1] || '' } : null;
+    }
+    const match = /^([^\s[\]{},#&*!|>%@`][^]*?)\s*:(?:\s+(.*))?$/.exec(text);
+    return match ? { key: match[1], rest: match[2] || '' } : null;
+}
+
+// 判断是否为 YAML 列表项
+function isYamlSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+}
+
+// 解析 YAML 文本 (常用子集)，返回 { value, positions }
+function parseYaml(text) {
+    const positions = {};
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map((raw, index) => {
+        const indentMatch = /^[ \t]*/.exec(raw)[0];
+        return {
+            number: index + 1,
+            raw,
+            indent: indentMatch.length,
+            hasTab: indentMatch.includes('\t'),
+            text: stripYamlComment(raw.slice(indentMatch.length))
+        };
+    });
+    let pos = 0;
+    
+    const failAt = (line, message) => {
+        throw new ConfigSyntaxError(`YAML 语法错误: ${message}`, line.number);
+    };
+    
+    // 跳过空行、注释行和文档开始标记，返回下一个有效行
+    const peek = () => {
+        while (pos < lines.length) {
+            const line = lines[pos];
+            if (line.text === '' || (line.text === '---' && line.indent === 0 && positions[''] === undefined)) {
+                pos++;
+                continue;
+            }
+            if (line.hasTab) {
+                failAt(line, '缩进不能使用 Tab');
+            }
+            if (line.text === '---' || line.text === '...' || line.text.startsWith('%')) {
+                failAt(line, '不支持多文档和指令');
+            }
+            return line;
+        }
+        return null;
+    };
+    
+    // 解析行内 [] {} 结构
+    const parseFlow = (text, line, currentPath) => {
+        const fail = message => failAt(line, message);
+        let index = 0;
+        
+        const skipSpaces = () => {
+            while (text[index] === ' ') {
+                index++;
+            }
+        };
+        const readScalar = stops => {
+            skipSpaces();
+            if (text[index] === '"' || text[index] === "'") {
+                const quoted = readYamlQuoted(text.slice(index), fail);
+                index += quoted.length;
+                return quoted.value;
+            }
+            const start = index;
+            while (index < text.length && !stops.includes(text[index])) {
+                index++;
+            }
+            return resolveYamlPlain(text.slice(start, index).trim());
+        };
+        const readValue = valuePath => {
+            skipSpaces();
+            positions[valuePath] = line.number;
+            if (text[index] === '[') {
+                index++;
+                const result = [];
+                skipSpaces();
+                while (text[index] !== ']') {
+                    result.push(readValue(joinPath(valuePath, result.length)));
+                    skipSpaces();
+                    if (text[index] === ',') {
+                        index++;
+                        skipSpaces();
+                    } else if (text[index] !== ']') {
+                        fail('行内列表缺少 , 或 ]');
+                    }
+                }
+                index++;
+                return result;
+            }
+            if (text[index] === '{') {
+                index++;
+                const result = {};
+                skipSpaces();
+                while (text[index] !== '}') {
+                    const key = String(readScalar([':', ',', '}']));
+                    if (text[index] !== ':') {
+                        fail('行内映射缺少 :');
+                    }
+                    index++;
+                    result[key] = readValue(joinPath(valuePath, key));
+                    skipSpaces();
+                    if (text[index] === ',') {
+                        index++;
+                        skipSpaces();
+                    } else if (text[index] !== '}') {
+                        fail('行内映射缺少 , 或 }');
+                    }
+                }
+                index++;
+                return result;
+            }
+            if (index >= text.length) {
+                return fail('行内结构未闭合 (不支持跨行)');
+            }
+            return readScalar([',', ']', '}']);
+        };
+        
+        const value = readValue(currentPath);
+        skipSpaces();
+        if (index < text.length) {
+            fail(`多余的内容: ${text.slice(index)}`);
+        }
+        return value;
+    };
+    
+    // 解析单行的值
+    const parseInline = (text, line, currentPath) => {
+        if (text[0] === '[' || text[0] === '{') {
+            return parseFlow(text, line, currentPath);
+        }
+        if (text[0] === '"' || text[0] === "'") {
+            const quoted = readYamlQuoted(text, message => failAt(line, message));
+            if (quoted.length !== text.length) {
+                failAt(line, `引号字符串后有多余的内容: ${text.slice(quoted.length)}`);
+            }
+            return quoted.value;
+        }
+        if (text[0] === '&' || text[0] === '*' || text[0] === '!') {
+            failAt(line, '不支持锚点、别名和标签');
+        }
+        return resolveYamlPlain(text);
+    };
+    
+    // 解析 | 和 > 多行文本，parentIndent 为所属键的缩进
+    const parseBlockScalar = (indicator, parentIndent) => {
+        const folded = indicator[0] === '>';
+        const chomping = indicator[1] || '';
+        const collected = [];
+        let blockIndent = null;
+        
+        while (pos < lines.length) {
+            const raw = lines[pos].raw;
+            if (raw.trim() === '') {
+                collected.push('');
+                pos++;
+                continue;
+            }
+            const indent = /^ */.exec(raw)[0].length;
+            if (indent <= parentIndent || (blockIndent !== null && indent < blockIndent)) {
+                break;
+            }
+            if (blockIndent === null) {
+                blockIndent = indent;
+            }
+            collected.push(raw.slice(blockIndent));
+            pos++;
+        }
+        
+        let trailing = 0;
+        while (collected.length > 0 && collected[collected.length - 1] === '') {
+            collected.pop();
+            trailing++;
+        }
+        
+        let value;
+        if (folded) {
+            // 折叠: 相邻行以空格连接，空行变为换行，缩进更深的行保持原样
+            value = '';
+            let previous = null;
+            collected.forEach(item => {
+                if (item === '') {
+                    value += '\n';
+                    previous = 'blank';
+                    return;
+                }
+                const indented = /^\s/.test(item);
+                if (previous === 'text' && !indented) {
+                    value += ' ';
+                } else if (previous === 'indented' || (previous === 'text' && indented)) {
+                    value += '\n';
+                }
+                value += item;
+                previous = indented ? 'indented' : 'text';
+            });
+        } else {
+            value = collected.join('\n');
+        }
+        
+        if (chomping === '+') {
+            return value + '\n'.repeat(trailing + 1);
+        }
+        return chomping === '-' || value === '' ? value : `${value}\n`;
+    };
+    
+    // 解析键或列表项之后的值 (同一行的值，或下一行开始的缩进块)
+    const parseValue = (rest, parentIndent, line, currentPath, allowSameIndentSequence) => {
+        if (rest === '') {
+            const next = peek();
+            if (next && next.indent > parentIndent) {
+                return parseNode(next, currentPath);
+            }
+            if (next && allowSameIndentSequence && next.indent === parentIndent && isYamlSequenceItem(next.text)) {
+                return parseSequence(next.indent, currentPath);
+            }
+            return null;
+        }
+        if (/^[|>][+-]?$/.test(rest)) {
+            return parseBlockScalar(rest, parentIndent);
+        }
+        return parseInline(rest, line, currentPath);
+    };
+    
+    const parseMapping = (indent, currentPath) => {
+        const result = {};
+        let line;
+        while ((line = peek()) && line.indent === indent && !isYamlSequenceItem(line.text)) {
+            const entry = matchYamlKey(line.text, message => failAt(line, message));
+            if (!entry) {
+                failAt(line, `应为 "键: 值" 格式: ${line.text}`);
+            }
+            
+            const childPath = joinPath(currentPath, entry.key);
+            positions[childPath] = line.number;
+            pos++;
+            result[entry.key] = parseValue(entry.rest, indent, line, childPath, true);
+        }
+        if (line && line.indent > indent) {
+            failAt(line, '缩进不一致');
+        }
+        return result;
+    };
+    
+    const parseSequence = (indent, currentPath) => {
+        const result = [];
+        let line;
+        while ((line = peek()) && line.indent === indent && isYamlSequenceItem(line.text)) {
+            const itemPath = joinPath(currentPath, result.length);
+            positions[itemPath] = line.number;
+            
+            const rest = line.text.slice(1).replace(/^ +/, '');
+            if (rest !== '' && (isYamlSequenceItem(rest) || matchYamlKey(rest, () => null))) {
+                // "- key: value" 形式: 将本行视为更深缩进的映射 (或列表) 继续解析
+                line.indent = indent + line.text.length - rest.length;
+                line.text = rest;
+                result.push(parseNode(line, itemPath));
+                continue;
+            }
+            
+            pos++;
+            result.push(parseValue(rest, indent, line, itemPath, false));
+        }
+        if (line && line.indent > indent) {
+            failAt(line, '缩进不一致');
+        }
+        return result;
+    };
+    
+    const parseNode = (line, currentPath) => {
+        return isYamlSequenceItem(line.text) ?
+            parseSequence(line.indent, currentPath) :
+            parseMapping(line.indent, currentPath);
+    };
+    
+    const first = peek();
+    if (!first) {
+        return { value: null, positions };
+    }
+    positions[''] = first.number;
+    
+    let value;
+    if (!isYamlSequenceItem(first.text) && !matchYamlKey(first.text, () => null)) {
+        pos++;
+        value = parseInline(first.text, first, '');
+    } else {
+        value = parseNode(first, '');
+    }
+    
+    const rest = peek();
+    if (rest) {
+        failAt(rest, `无法解析的内容，请检查缩进: ${rest.text}`);
+    }
+    return { value, positions };
+}
+
+// 读取并解析配置文件，.yaml / .yml 按 YAML 解析，其余按 JSON 解析
+// 返回 { value, positions, format }
+function loadConfigFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const format = /\.ya?ml$/i.test(filePath) ? 'yaml' : 'json';
+    const parsed = format === 'yaml' ? parseYaml(text) : parseJson(text);
+    return Object.assign({ format }, parsed);
+}
+
+// 深度合并两层配置: 对象逐字段合并，数组和其他值整体覆盖
+function deepMerge(base, override) {
+    if (override === undefined) {
+        return base;
+    }
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return override;
+    }
+    
+    const result = Object.assign({}, base);
+    Object.keys(override).forEach(key => {
+        result[key] = deepMerge(base[key], override[key]);
+    });
+    return result;
+}
+
+// 按路径 (键数组) 设置配置值，中间缺少的对象自动创建
+// 路径经过已有的数组时按数字下标设置 (如 events.0.name)，下标不是数字或超出数组末尾时抛出错误
+function setPath(target, keys, value) {
+    let current = target;
+    keys.forEach((key, index) => {
+        if (Array.isArray(current)) {
+            if (!/^\d+$/.test(key) || Number(key) > current.length) {
+                const where = keys.slice(0, index).join('.');
+                throw new Error(`${where} 是数组 (${current.length} 项)，只能用 0 - ${current.length} 的下标覆盖: ${key}`);
+            }
+            key = Number(key);
+        }
+        if (index === keys.length - 1) {
+            current[key] = value;
+            return;
+        }
+        if (!isPlainObject(current[key]) && !Array.isArray(current[key])) {
+            current[key] = {};
+        }
+        current = current[key];
+    });
+    return target;
+}
+
+// 收集以 prefix 开头的环境变量覆盖，如 PREFIX__SETTINGS__UPCOMING_DAYS=3
+// 变量名中的 __ 分隔配置层级 (转为小写)，值按 JSON 解析，解析失败时作为字符串
+// 传入 schema 时，配置项接受字符串而解析结果的类型不符合 (如 TITLE_PREFIX=2026 解析为数字) 时保留原文
+// 返回 [{ name, keys, value }]
+function collectEnvOverrides(env, prefix, schema = null) {
+    return Object.keys(env)
+        .filter(name => name.startsWith(prefix) && name.length > prefix.length)
+        .sort()
+        .map(name => {
+            const keys = name.slice(prefix.length).split('__').map(key => key.toLowerCase());
+            const raw = env[name];
+            let value = raw;
+            try {
+                value = JSON.parse(raw);
+            } catch (error) {
+                // 保持字符串
+            }
+            if (schema && value !== raw) {
+                const types = getSchemaTypes(getSchemaAt(schema, keys), schema);
+                if (types.includes('string') && !types.some(type => matchesSchemaType(value, type))) {
+                    value = raw;
+                }
+            }
+            return { name, keys, value };
+        });
+}
+
+// 解析 JSON Schema 中的 $ref (#/definitions/...)
+function resolveSchemaRef(schema, rootSchema) {
+    if (!schema || !schema.$ref) {
+        return schema;
+    }
+    const name = schema.$ref.replace(/^#\/(definitions|\$defs)\//, '');
+    const definitions = rootSchema.definitions || rootSchema.$defs || {};
+    return definitions[name] ? resolveSchemaRef(definitions[name], rootSchema) : null;
+}
+
+// 查找配置路径 (键数组) 对应的 JSON Schema 节点 (依次查找 properties、数组的 items、patternProperties、additionalProperties，
+// 含 allOf / anyOf / oneOf 各分支)，找不到时返回 null
+function getSchemaAt(schema, keys, rootSchema = schema) {
+    let node = resolveSchemaRef(schema, rootSchema);
+    for (const key of keys) {
+        if (!node) {
+            return null;
+        }
+        node = [node].concat(node.allOf || [], node.anyOf || [], node.oneOf || [])
+            .map(item => resolveSchemaRef(item, rootSchema))
+            .map(item => {
+                if (!item) {
+                    return null;
+                }
+                if (item.properties && item.properties[key]) {
+                    return item.properties[key];
+                }
+                if (isPlainObject(item.items) && /^\d+$/.test(key)) {
+                    return item.items;
+                }
+                const pattern = Object.keys(item.patternProperties || {}).find(source => new RegExp(source).test(key));
+                if (pattern) {
+                    return item.patternProperties[pattern];
+                }
+                return isPlainObject(item.additionalProperties) ? item.additionalProperties : null;
+            })
+            .find(Boolean) || null;
+        node = resolveSchemaRef(node, rootSchema);
+    }
+    return node;
+}
+
+// JSON Schema 节点允许的类型 (含 anyOf / oneOf 各分支)，未限定类型时返回空数组
+function getSchemaTypes(schema, rootSchema) {
+    const node = resolveSchemaRef(schema, rootSchema);
+    if (!node) {
+        return [];
+    }
+    const alternatives = [].concat(node.anyOf || [], node.oneOf || []);
+    return [].concat(node.type || [], ...alternatives.map(item => getSchemaTypes(item, rootSchema)));
+}
+
+// 获取值的 JSON Schema 类型名
+function matchesSchemaType(value, type) {
+    switch (type) {
+        case 'object':
+            return isPlainObject(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && isFinite(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+const SCHEMA_TYPE_NAMES = {
+    object: '对象',
+    array: '数组',
+    string: '字符串',
+    integer: '整数',
+    number: '数字',
+    boolean: '布尔值',
+    null: 'null'
+};
+
+// 按 JSON Schema 校验配置，返回 [{ path, message }]
+// 支持: $ref (#/definitions/...)、type、enum、const、allOf、anyOf、oneOf、properties、required、
+//       additionalProperties、patternProperties、items、minItems、minLength、pattern、minimum、maximum
+function validateSchema(value, schema, rootSchema = schema, currentPath = '', issues = []) {
+    const addIssue = message => issues.push({ path: currentPath, message });
+    
+    if (schema.$ref) {
+        const name = schema.$ref.replace(/^#\/(definitions|\$defs)\//, '');
+        const definitions = rootSchema.definitions || rootSchema.$defs || {};
+        if (!definitions[name]) {
+            throw new Error(`JSON Schema 中未定义: ${schema.$ref}`);
+        }
+        return validateSchema(value, definitions[name], rootSchema, currentPath, issues);
+    }
+    
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesSchemaType(value, type))) {
+            addIssue(`类型应为${types.map(type => SCHEMA_TYPE_NAMES[type] || type).join('或')}`);
+            return issues;
+        }
+    }
+    
+    if (schema.enum && !schema.enum.includes(value)) {
+        addIssue(`取值只能是 ${schema.enum.join('、')}`);
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        addIssue(`取值只能是 ${schema.const}`);
+    }
+    
+    (schema.allOf || []).forEach(item => validateSchema(value, item, rootSchema, currentPath, issues));
+    
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (alternatives) {
+        const results = alternatives.map(item => validateSchema(value, item, rootSchema, currentPath, []));
+        const passed = results.filter(result => result.length === 0).length;
+        if (passed === 0) {
+            // 优先报告类型匹配的分支中的错误，所有分支类型都不匹配时报告可选类型
+            const matchedIndex = alternatives.findIndex(item => !item.type ||
+                [].concat(item.type).some(type => matchesSchemaType(value, type)));
+            if (matchedIndex >= 0) {
+                results[matchedIndex].forEach(issue => issues.push(issue));
+            } else {
+                const types = [].concat(...alternatives.map(item => item.type));
+                addIssue(`类型应为${types.map(type => SCHEMA_TYPE_NAMES[type] || type).join('或')}`);
+            }
+        } else if (schema.oneOf && passed > 1) {
+            addIssue('同时匹配了多种配置形式');
+        }
+    }
+    
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            addIssue(schema.minLength === 1 ? '不能为空' : `长度不能少于 ${schema.minLength}`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            addIssue(`格式错误${schema.description ? ` (${schema.description})` : ''}: ${value}`);
+        }
+    }
+    
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            addIssue(`不能小于 ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            addIssue(`不能大于 ${schema.maximum}`);
+        }
+    }
+    
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            addIssue(schema.minItems === 1 ? '不能为空数组' : `至少需要 ${schema.minItems} 项`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                validateSchema(item, schema.items, rootSchema, joinPath(currentPath, index), issues);
+            });
+        }
+    }
+    
+    if (isPlainObject(value)) {
+        (schema.required || []).filter(key => value[key] === undefined).forEach(key => {
+            addIssue(`缺少必填字段 ${key}`);
+        });
+        
+        const properties = schema.properties || {};
+        const patternProperties = Object.keys(schema.patternProperties || {});
+        Object.keys(value).forEach(key => {
+            const childPath = joinPath(currentPath, key);
+            let matched = false;
+            if (properties[key]) {
+                matched = true;
+                validateSchema(value[key], properties[key], rootSchema, childPath, issues);
+            }
+            patternProperties.filter(pattern => new RegExp(pattern).test(key)).forEach(pattern => {
+                matched = true;
+                validateSchema(value[key], schema.patternProperties[pattern], rootSchema, childPath, issues);
+            });
+            if (!matched && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    issues.push({ path: childPath, message: '未知的配置项' });
+                } else if (isPlainObject(schema.additionalProperties)) {
+                    validateSchema(value[key], schema.additionalProperties, rootSchema, childPath, issues);
+                }
+            }
+        });
+    }
+    
+    return issues;
+}
+
+// 读取 JSON Schema 文件
+function loadSchema(schemaPath) {
+    return JSON.parse(fs.readFileSync(path.resolve(schemaPath), 'utf8'));
+}
+
+module.exports = {
+    ConfigSyntaxError,
+    parseJson,
+    parseYaml,
+    loadConfigFile,
+    loadSchema,
+    deepMerge,
+    setPath,
+    collectEnvOverrides,
+    validateSchema,
+    findLine,
+    joinPath
+};
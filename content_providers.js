@@ -0,0 +1,238 @@
+/**
+ * 内容提供器模块 (weekly_notify.js 使用)
+ *
+ * 提供器是一个异步函数 (options, context) => 内容，返回的内容作为一个段落附加到当天消息末尾:
+ * - 返回字符串: 直接使用
+ * - 返回对象: 由配置中的 template 渲染，对象的字段可作为模板变量
+ * - 返回空值: 当天不附加该段落
+ * options 为该提供器的配置项 (自定义提供器为其中的 options)，context 包含模板变量 (date、weekday 等) 及 timeout (毫秒)
+ *
+ * 内置提供器:
+ * - file: 从文本文件或目录中按日期轮换 (或随机) 选取一条，如每日一句
+ * - http: 请求 HTTP 接口，JSON 响应可用 field 取出指定字段
+ * - command: 执行命令，使用其标准输出
+ *
+ * 自定义提供器: 配置 module 指向导出上述函数的 JS 文件，自定义参数放在 options 中
+ *
+ * 作者: CodeBuddy
+ * 功能: 为每日通知提供动态内容，每个提供器独立超时
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { exec } = require('child_process');
+
+const DEFAULT_TIMEOUT = 5000;
+
+// 命令输出的最大长度 (字节)
+const MAX_OUTPUT = 1024 * 1024;
+
+// 读取文本文件中的条目: 含有单独一行 % 时按 % 分隔 (fortune 格式)，否则每个非空行为一条
+// .json 文件需为数组，数组元素可以是字符串或对象
+function readEntries(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    if (path.extname(filePath).toLowerCase() === '.json') {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data)) {
+            throw new Error(`${path.basename(filePath)} 应为数组`);
+        }
+        return data.filter(item => item !== null && item !== '');
+    }
+    
+    const separator = /^%\s*$/m.test(text) ? /^%\s*$/m : /\r?\n/;
+    return text.split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+// file 提供器: options.path 为文件或目录 (读取目录下所有非隐藏文件，不含子目录)
+// options.pick: daily (默认，按日期依次轮换，同一天结果相同) / random (随机)
+async function fileProvider(options, context) {
+    if (!options.path) {
+        throw new Error('缺少 path');
+    }
+    const target = path.resolve(options.path);
+    const files = fs.statSync(target).isDirectory() ?
+        fs.readdirSync(target)
+            .filter(name => !name.startsWith('.'))
+            .sort()
+            .map(name => path.join(target, name))
+            .filter(file => fs.statSync(file).isFile()) :
+        [target];
+    
+    const entries = [];
+    files.forEach(file => readEntries(file).forEach(entry => entries.push(entry)));
+    if (entries.length === 0) {
+        return null;
+    }
+    
+    if (options.pick === 'random') {
+        return entries[Math.floor(Math.random() * entries.length)];
+    }
+    return entries[Math.floor(Date.parse(`${context.date}T00:00:00Z`) / 86400000) % entries.length];
+}
+
+// 发送 HTTP 请求，timeout 为整个请求 (含读取响应) 的超时时间，返回 { status, body, json }
+function httpRequest(url, options = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'http:' ? http : https;
+        const body = options.body === undefined ? null : Buffer.from(options.body);
+        const headers = Object.assign({}, options.headers);
+        if (body) {
+            headers['Content-Length'] = body.length;
+        }
+        
+        const req = client.request(target, { method: options.method || 'GET', headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('error', reject);
+            res.on('end', () => {
+                clearTimeout(timer);
+                const text = Buffer.concat(chunks).toString('utf8');
+                let json = null;
+                try {
+                    json = JSON.parse(text);
+                } catch (error) {
+                    // 非 JSON 响应
+                }
+                resolve({ status: res.statusCode, body: text, json });
+            });
+        });
+        
+        const timeout = options.timeout || DEFAULT_TIMEOUT;
+        const timer = setTimeout(() => req.destroy(new Error(`请求超时 (${timeout}ms)`)), timeout);
+        req.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        if (body) {
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+// 按路径取出字段，如 data.list[0].text，不存在时返回 undefined
+function getField(value, fieldPath) {
+    return fieldPath.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean).reduce((current, key) => {
+        return current !== null && current !== undefined ? current[key] : undefined;
+    }, value);
+}
+
+// http 提供器: options.url 为接口地址，可配置 method、headers、body (对象按 JSON 发送)
+// options.field: 从 JSON 响应中取出的字段路径；非 JSON 响应直接使用响应文本
+async function httpProvider(options, context) {
+    if (!options.url) {
+        throw new Error('缺少 url');
+    }
+    
+    const headers = Object.assign({ 'User-Agent': 'weekly-notify' }, options.headers);
+    let body;
+    if (options.body !== undefined) {
+        body = typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+        if (typeof options.body !== 'string' && !Object.keys(headers).some(key => key.toLowerCase() === 'content-type')) {
+            headers['Content-Type'] = 'application/json; charset=utf-8';
+        }
+    }
+    
+    const response = await httpRequest(options.url, {
+        method: options.method || (body === undefined ? 'GET' : 'POST'),
+        headers,
+        body,
+        timeout: context.timeout
+    });
+    if (response.status < 200 || response.status >= 300) {
+        throw new Error(`HTTP ${response.status} ${response.body.substring(0, 200)}`);
+    }
+    
+    if (response.json === null) {
+        return response.body.trim();
+    }
+    if (!options.field) {
+        return response.json;
+    }
+    const value = getField(response.json, options.field);
+    if (value === undefined) {
+        throw new Error(`响应中没有字段 ${options.field}`);
+    }
+    return value;
+}
+
+// command 提供器: options.command 为要执行的命令，使用标准输出 (去掉首尾空白)
+// 超时后结束命令；退出码非 0 时视为失败
+function commandProvider(options, context) {
+    if (!options.command) {
+        return Promise.reject(new Error('缺少 command'));
+    }
+    
+    return new Promise((resolve, reject) => {
+        exec(options.command, {
+            cwd: options.cwd ? path.resolve(options.cwd) : undefined,
+            timeout: context.timeout,
+            maxBuffer: MAX_OUTPUT,
+            windowsHide: true
+        }, (error, stdout, stderr) => {
+            if (error) {
+                const detail = String(stderr || '').trim().split('\n')[0];
+                const reason = error.killed ? `命令超时 (${context.timeout}ms)` : `命令执行失败 (退出码 ${error.code})`;
+                reject(new Error(detail ? `${reason}: ${detail}` : reason));
+                return;
+            }
+            resolve(String(stdout).trim());
+        });
+    });
+}
+
+// 内置提供器
+const PROVIDERS = {
+    file: fileProvider,
+    http: httpProvider,
+    command: commandProvider
+};
+
+// 获取提供器函数: module 指向的自定义模块 (导出函数或 provide 方法) 或内置类型
+function loadProvider(config) {
+    if (config.module) {
+        const loaded = require(path.resolve(config.module));
+        const provider = typeof loaded === 'function' ? loaded : loaded && loaded.provide;
+        if (typeof provider !== 'function') {
+            throw new Error(`${config.module} 未导出提供器函数`);
+        }
+        return provider;
+    }
+    if (!PROVIDERS[config.type]) {
+        throw new Error(`未知的提供器类型: ${config.type}`);
+    }
+    return PROVIDERS[config.type];
+}
+
+// 运行提供器，超过 config.timeout (毫秒，默认 5000) 时以超时错误结束
+// 内置提供器会在超时后中止请求或结束命令，自定义提供器可使用 context.timeout 自行处理
+function runProvider(config, context) {
+    const timeout = Number(config.timeout) > 0 ? Number(config.timeout) : DEFAULT_TIMEOUT;
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`超时 (${timeout}ms)`)), timeout);
+    });
+    const task = Promise.resolve().then(() => {
+        const provider = loadProvider(config);
+        const options = config.module ? Object.assign({}, config.options) : config;
+        return provider(options, Object.assign({}, context, { timeout }));
+    });
+    
+    return Promise.race([task, deadline]).then(value => {
+        clearTimeout(timer);
+        return value;
+    }, error => {
+        clearTimeout(timer);
+        throw error;
+    });
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    PROVIDERS,
+    loadProvider,
+    runProvider
+};
@@ -0,0 +1,305 @@
+/**
+ * 脚本数据存储 (ybt_sign.js 使用)
+ *
+ * 以名称保存 JSON 数据 (如 cache、history、state)，支持两种后端:
+ * - json (默认): 每个名称一个文件 <prefix>_<名称>.json
+ *   写入时先写临时文件再重命名，中途崩溃不会留下写了一半的文件；
+ *   读取-修改-写入 (update) 期间持有跨进程的锁文件 <文件>.lock，手动执行和定时任务同时运行时不会互相覆盖；
+ *   持有锁的进程已退出 (同一主机) 或锁文件超过 staleLock 毫秒未释放时视为残留的锁，自动清除
+ * - sqlite: 所有数据保存在 <prefix>.db 的 store 表中，update 在 BEGIN IMMEDIATE 事务中完成
+ *   需要 better-sqlite3 模块或 Node.js 22.5+ 内置的 node:sqlite
+ *
+ * 用法:
+ * const store = createStore({ backend: 'json', dir: '/ql/data/ybt', prefix: 'ybt_sign' });
+ * store.read('cache');                              // 不存在时返回 null
+ * store.write('cache', data);
+ * store.update('cache', data => Object.assign({}, data, { key: 'value' }));
+ *
+ * 作者: CodeBuddy
+ * 功能: 原子写入、加锁更新的 JSON 存储，可选 SQLite 后端
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 等待锁的默认超时时间 (毫秒)
+const DEFAULT_LOCK_TIMEOUT = 10000;
+
+// 锁文件超过该时间 (毫秒) 未释放时视为残留的锁
+const DEFAULT_STALE_LOCK = 60000;
+
+// 同步等待指定毫秒数 (等待锁时使用，存储接口均为同步调用)
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// 原子写入文件: 先写入同目录下的临时文件并刷新到磁盘，再重命名覆盖目标文件
+function writeFileAtomic(file, content) {
+    const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        const fd = fs.openSync(temp, 'w');
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(temp, file);
+    } catch (error) {
+        try {
+            fs.unlinkSync(temp);
+        } catch (ignored) {
+            // 临时文件不存在
+        }
+        throw error;
+    }
+}
+
+// 进程是否仍在运行 (无权限发送信号时也视为运行中)
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// 判断锁文件是否为残留的锁: 持有锁的进程已退出 (同一主机)，或超过 staleLock 毫秒未释放
+// 返回残留原因，不是残留的锁时返回 null
+function getStaleReason(lockFile, staleLock) {
+    let stat;
+    let owner = null;
+    try {
+        stat = fs.statSync(lockFile);
+        owner = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    } catch (error) {
+        if (!stat) {
+            return null; // 锁已被释放
+        }
+        // 锁文件刚创建、尚未写入内容时无法解析，只按修改时间判断
+    }
+    
+    if (owner && owner.host === os.hostname() && owner.pid !== process.pid && !isProcessAlive(owner.pid)) {
+        return `进程 ${owner.pid} 已退出`;
+    }
+    const age = Date.now() - (owner && owner.time ? owner.time : stat.mtimeMs);
+    return age > staleLock ? `已超过 ${Math.round(age / 1000)} 秒未释放` : null;
+}
+
+// 获取锁文件，其他进程持有锁时等待，超过 timeout 毫秒仍未获取时抛出错误
+function acquireLock(lockFile, options) {
+    const deadline = Date.now() + options.lockTimeout;
+    for (;;) {
+        try {
+            const fd = fs.openSync(lockFile, 'wx');
+            fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), time: Date.now() }));
+            fs.closeSync(fd);
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+        
+        const staleReason = getStaleReason(lockFile, options.staleLock);
+        if (staleReason) {
+            options.log(`清除残留的锁文件 ${lockFile} (${staleReason})`, 'WARN');
+            try {
+                fs.unlinkSync(lockFile);
+            } catch (error) {
+                // 已被其他进程清除
+            }
+            continue;
+        }
+        if (Date.now() >= deadline) {
+            throw new Error(`等待锁文件 ${lockFile} 超时 (${options.lockTimeout}ms)，可能有其他进程正在运行`);
+        }
+        sleepSync(50);
+    }
+}
+
+// 释放锁文件
+function releaseLock(lockFile) {
+    try {
+        fs.unlinkSync(lockFile);
+    } catch (error) {
+        // 锁已被当作残留的锁清除
+    }
+}
+
+// 已提示过内容损坏的迁移来源文件 (每个文件只提示一次)
+const reportedCorruptSources = new Set();
+
+// 读取 JSON 文件
+function readJsonFile(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+// 依次在 dirs 中查找并读取 JSON 文件 <prefix>_<名称>.json，都不存在时返回 null
+// 用于更改存储位置或改用 SQLite 后读取原有的数据；原有文件内容损坏 (如写了一半) 时按没有数据处理，不修改原文件
+function readJsonFrom(dirs, options, name) {
+    const file = dirs.filter(Boolean)
+        .map(dir => path.join(dir, `${options.prefix}_${name}.json`))
+        .find(item => fs.existsSync(item));
+    if (!file) {
+        return null;
+    }
+    try {
+        return readJsonFile(file);
+    } catch (error) {
+        if (!reportedCorruptSources.has(file)) {
+            reportedCorruptSources.add(file);
+            options.log(`${file} 内容损坏 (${error.message})，不读取其中的数据`, 'WARN');
+        }
+        return null;
+    }
+}
+
+// ==================== JSON 文件后端 ====================
+
+// JSON 文件后端，新位置没有文件时读取 legacyDir 中的同名文件 (更改存储位置后自动迁移)
+function createJsonStore(options) {
+    const fileOf = name => path.join(options.dir, `${options.prefix}_${name}.json`);
+    
+    // 读取文件内容，不存在时读取 legacyDir 中的文件，都不存在时返回 null
+    // 存储目录中的文件内容损坏时抛出错误，由 update 改名保留
+    function readFile(name) {
+        const file = fileOf(name);
+        return fs.existsSync(file) ? readJsonFile(file) : readJsonFrom([options.legacyDir], options, name);
+    }
+    
+    // 持有锁执行 fn
+    function withLock(name, fn) {
+        fs.mkdirSync(options.dir, { recursive: true });
+        const lockFile = `${fileOf(name)}.lock`;
+        acquireLock(lockFile, options);
+        try {
+            return fn();
+        } finally {
+            releaseLock(lockFile);
+        }
+    }
+    
+    return {
+        backend: 'json',
+        location: name => fileOf(name),
+        read: readFile,
+        write(name, value) {
+            withLock(name, () => writeFileAtomic(fileOf(name), JSON.stringify(value, null, 2)));
+        },
+        // 读取-修改-写入: fn(当前数据) 返回新数据 (返回 undefined 时不写入)
+        // 文件内容损坏时改名为 .corrupt 保留，按没有数据处理
+        update(name, fn) {
+            return withLock(name, () => {
+                let value;
+                try {
+                    value = readFile(name);
+                } catch (error) {
+                    const file = fileOf(name);
+                    if (!fs.existsSync(file)) {
+                        throw error;
+                    }
+                    fs.renameSync(file, `${file}.corrupt`);
+                    options.log(`${file} 内容损坏 (${error.message})，已改名为 ${path.basename(file)}.corrupt`, 'WARN');
+                    value = null;
+                }
+                const next = fn(value);
+                if (next !== undefined) {
+                    writeFileAtomic(fileOf(name), JSON.stringify(next, null, 2));
+                }
+                return next;
+            });
+        }
+    };
+}
+
+// ==================== SQLite 后端 ====================
+
+// 加载 SQLite 模块并打开数据库: 优先使用 better-sqlite3，其次使用 Node.js 内置的 node:sqlite
+function openDatabase(file) {
+    try {
+        const Database = require('better-sqlite3');
+        return new Database(file);
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') {
+            throw error;
+        }
+    }
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return new DatabaseSync(file);
+    } catch (error) {
+        throw new Error('未找到 SQLite 模块，请安装 better-sqlite3 依赖或使用 Node.js 22.5 以上版本');
+    }
+}
+
+// SQLite 后端: 数据保存在 store 表 (name 主键，value 为 JSON 文本)，表中没有的数据从 dir 或 legacyDir 的 JSON 文件读取
+function createSqliteStore(options) {
+    const file = path.join(options.dir, `${options.prefix}.db`);
+    fs.mkdirSync(options.dir, { recursive: true });
+    const db = openDatabase(file);
+    db.exec(`PRAGMA busy_timeout = ${Math.round(options.lockTimeout)}`);
+    db.exec('CREATE TABLE IF NOT EXISTS store (name TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at TEXT NOT NULL)');
+    const selectStatement = db.prepare('SELECT value FROM store WHERE name = ?');
+    const upsertStatement = db.prepare('INSERT OR REPLACE INTO store (name, value, updated_at) VALUES (?, ?, ?)');
+    
+    // 读取数据，不存在时返回 null
+    function read(name) {
+        const row = selectStatement.get(name);
+        return row ? JSON.parse(row.value) : readJsonFrom([options.dir, options.legacyDir], options, name);
+    }
+    
+    // 写入数据
+    function write(name, value) {
+        upsertStatement.run(name, JSON.stringify(value), new Date().toISOString());
+    }
+    
+    return {
+        backend: 'sqlite',
+        location: name => `${file} (${name})`,
+        read,
+        write,
+        // 读取-修改-写入在同一个写事务中完成，其他进程的写入会等待
+        update(name, fn) {
+            db.exec('BEGIN IMMEDIATE');
+            try {
+                const next = fn(read(name));
+                if (next !== undefined) {
+                    write(name, next);
+                }
+                db.exec('COMMIT');
+                return next;
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        }
+    };
+}
+
+// 创建存储
+// options: backend (json / sqlite，默认 json)、dir (存储目录)、prefix (文件名前缀)、legacyDir (旧的存储目录，可选)、
+// lockTimeout (等待锁的毫秒数)、staleLock (残留锁的判断时间，毫秒)、log (日志函数，可选)
+function createStore(options) {
+    const settings = Object.assign({
+        backend: 'json',
+        lockTimeout: DEFAULT_LOCK_TIMEOUT,
+        staleLock: DEFAULT_STALE_LOCK,
+        log: message => console.log(message)
+    }, options);
+    
+    if (settings.backend === 'sqlite') {
+        return createSqliteStore(settings);
+    }
+    if (settings.backend !== 'json') {
+        throw new Error(`未知的存储后端: ${settings.backend}，可选 json / sqlite`);
+    }
+    return createJsonStore(settings);
+}
+
+module.exports = {
+    createStore,
+    writeFileAtomic
+};
@@ -0,0 +1,740 @@
+/**
+ * iCalendar (.ics) 日程解析模块 (RFC 5545 常用子集，离线，无需第三方依赖)
+ *
+ * 支持:
+ * - VEVENT 的 SUMMARY / LOCATION / CATEGORIES / STATUS / DTSTART / DTEND / DURATION
+ * - 全天事件 (VALUE=DATE)、UTC 时间、TZID 时区时间 (IANA 时区名及常见 Windows 时区名)、浮动时间
+ * - 重复规则 RRULE: FREQ=DAILY / WEEKLY / MONTHLY / YEARLY，INTERVAL、COUNT、UNTIL、
+ *   BYDAY (含 1MO、-1FR 等序号)、BYMONTHDAY、BYMONTH、BYSETPOS、WKST
+ * - EXDATE 排除日期、RDATE 额外日期、RECURRENCE-ID 单次修改、STATUS:CANCELLED 取消
+ *
+ * 重复事件按 DTSTART 所在时区的当地时间展开，夏令时切换前后的时刻保持不变
+ * 不支持 BYWEEKNO / BYYEARDAY / BYHOUR 等规则，这类事件只保留第一次
+ *
+ * 作者: CodeBuddy
+ * 功能: 读取 ICS 文件，计算指定日期的日程
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 86400000;
+
+// 展开重复规则时最多遍历的周期数 (每天重复的事件约可覆盖 130 年)
+const MAX_PERIODS = 50000;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+
+// Outlook / Exchange 导出的 Windows 时区名称
+const WINDOWS_TIMEZONES = {
+    'China Standard Time': 'Asia/Shanghai',
+    'Taipei Standard Time': 'Asia/Taipei',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'Korea Standard Time': 'Asia/Seoul',
+    'Singapore Standard Time': 'Asia/Singapore',
+    'India Standard Time': 'Asia/Kolkata',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'UTC': 'UTC',
+    'GMT Standard Time': 'Europe/London',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Russian Standard Time': 'Europe/Moscow',
+    'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago',
+    'Mountain Standard Time': 'America/Denver',
+    'Pacific Standard Time': 'America/Los_Angeles'
+};
+
+// 按时区缓存的日期格式化器
+const formatterCache = {};
+
+// 日期转换为日序号 (1970-01-01 起的天数)
+function toDayNumber(year, month, day) {
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+// 日序号转换为 { year, month, day }
+function fromDayNumber(dayNumber) {
+    const date = new Date(dayNumber * DAY_MS);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// 日序号转换为 YYYY-MM-DD
+function formatDayNumber(dayNumber) {
+    return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+// 日序号对应的星期 (0 = 周日)
+function weekdayOf(dayNumber) {
+    return ((dayNumber + 4) % 7 + 7) % 7;
+}
+
+// 获取某月的天数
+function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// 检查时区名称是否有效
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 将 TZID 转换为 IANA 时区名称，无法识别时返回 null
+// 兼容 Windows 时区名及 /mozilla.org/20050126_1/Asia/Shanghai 这类带前缀的写法
+function resolveTimezone(tzid) {
+    if (!tzid) {
+        return null;
+    }
+    if (WINDOWS_TIMEZONES[tzid]) {
+        return WINDOWS_TIMEZONES[tzid];
+    }
+    if (isValidTimezone(tzid)) {
+        return tzid;
+    }
+    const match = /([A-Za-z_]+\/[A-Za-z_+\-]+(?:\/[A-Za-z_+\-]+)?)$/.exec(tzid);
+    return match && isValidTimezone(match[1]) ? match[1] : null;
+}
+
+// 计算时区在某一时刻相对 UTC 的偏移 (毫秒)
+function getTimezoneOffset(ms, timeZone) {
+    if (!formatterCache[timeZone]) {
+        formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    
+    const parts = {};
+    formatterCache[timeZone].formatToParts(new Date(ms)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    return wall - Math.floor(ms / 1000) * 1000;
+}
+
+// 将时区内的当地时间 (以 UTC 毫秒表示) 转换为 UTC 时刻，夏令时开始时不存在的时刻顺延
+function zonedToUtc(wallMs, timeZone) {
+    const utc = wallMs - getTimezoneOffset(wallMs, timeZone);
+    const offset = getTimezoneOffset(utc, timeZone);
+    return offset === wallMs - utc ? utc : wallMs - offset;
+}
+
+// 展开折行并拆分为内容行
+function unfoldLines(text) {
+    return text
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.trim() !== '');
+}
+
+// 按未加引号、未转义的分隔符拆分
+function splitUnquoted(text, separator) {
+    const result = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (char === '\\' && i + 1 < text.length) {
+            current += char + text[++i];
+            continue;
+        } else if (char === separator && !quoted) {
+            result.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    result.push(current);
+    return result;
+}
+
+// 解析内容行 NAME;PARAM=VALUE:值，返回 { name, params, value }
+function parseContentLine(line) {
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            quoted = !quoted;
+        } else if (line[i] === ':' && !quoted) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon < 0) {
+        return null;
+    }
+    
+    const [name, ...paramParts] = splitUnquoted(line.slice(0, colon), ';');
+    const params = {};
+    paramParts.forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            params[part.slice(0, index).toUpperCase()] = part.slice(index + 1).replace(/^"|"$/g, '');
+        }
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// 还原文本值中的转义字符
+function unescapeText(value) {
+    return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// 解析日期或日期时间值，返回 { dayNumber, seconds, allDay, utc, tzid }，格式无效时返回 null
+function parseDateValue(value, params = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const allDay = match[4] === undefined;
+    return {
+        dayNumber: toDayNumber(Number(match[1]), Number(match[2]), Number(match[3])),
+        seconds: allDay ? 0 : Number(match[4]) * 3600 + Number(match[5]) * 60 + Number(match[6]),
+        allDay,
+        utc: Boolean(match[7]),
+        tzid: match[7] || allDay ? null : (params.TZID || null)
+    };
+}
+
+// 解析 DURATION 值，返回 { days, ms }，格式无效时返回 null
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const sign = match[1] === '-' ? -1 : 1;
+    const days = (Number(match[2] || 0) * 7 + Number(match[3] || 0)) * sign;
+    const seconds = (Number(match[4] || 0) * 3600 + Number(match[5] || 0) * 60 + Number(match[6] || 0)) * sign;
+    return { days, ms: days * DAY_MS + seconds * 1000 };
+}
+
+// 解析 RRULE，返回规则对象；包含不支持的规则时返回 { unsupported: 原因 }
+function parseRecurrenceRule(value) {
+    const parts = {};
+    value.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            parts[part.slice(0, index).toUpperCase()] = part.slice(index + 1).toUpperCase();
+        }
+    });
+    
+    if (!SUPPORTED_FREQS.includes(parts.FREQ)) {
+        return { unsupported: `FREQ=${parts.FREQ || ''}` };
+    }
+    const unsupported = Object.keys(parts).filter(key => !SUPPORTED_RULE_PARTS.includes(key));
+    if (unsupported.length > 0) {
+        return { unsupported: unsupported.join(', ') };
+    }
+    
+    const toNumbers = text => (text ? text.split(',').map(Number).filter(number => Number.isInteger(number) && number !== 0) : []);
+    const byDay = [];
+    if (parts.BYDAY) {
+        for (const item of parts.BYDAY.split(',')) {
+            const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+            if (!match) {
+                return { unsupported: `BYDAY=${parts.BYDAY}` };
+            }
+            byDay.push({ weekday: WEEKDAY_CODES.indexOf(match[2]), nth: match[1] ? Number(match[1]) : 0 });
+        }
+    }
+    
+    return {
+        freq: parts.FREQ,
+        interval: Math.max(1, Number(parts.INTERVAL) || 1),
+        count: parts.COUNT ? Number(parts.COUNT) : null,
+        until: parts.UNTIL ? parseDateValue(parts.UNTIL) : null,
+        byDay,
+        byMonthDay: toNumbers(parts.BYMONTHDAY),
+        byMonth: toNumbers(parts.BYMONTH),
+        bySetPos: toNumbers(parts.BYSETPOS),
+        weekStart: parts.WKST ? Math.max(0, WEEKDAY_CODES.indexOf(parts.WKST)) : 1
+    };
+}
+
+// 解析 VEVENT 的属性行，warnings 用于收集无法处理的内容
+function parseEvent(lines, warnings, label) {
+    const event = {
+        uid: '',
+        summary: '',
+        location: '',
+        description: '',
+        categories: [],
+        status: '',
+        start: null,
+        end: null,
+        duration: null,
+        rule: null,
+        exdates: [],
+        rdates: [],
+        recurrenceId: null
+    };
+    
+    lines.forEach(line => {
+        const property = parseContentLine(line);
+        if (!property) {
+            return;
+        }
+        const { name, params, value } = property;
+        const dateList = () => value.split(',').map(item => parseDateValue(item, params)).filter(Boolean);
+        
+        switch (name) {
+            case 'UID':
+                event.uid = value;
+                break;
+            case 'SUMMARY':
+            case 'LOCATION':
+            case 'DESCRIPTION':
+                event[name.toLowerCase()] = unescapeText(value);
+                break;
+            case 'CATEGORIES':
+                splitUnquoted(value, ',').map(unescapeText).map(item => item.trim()).filter(Boolean)
+                    .forEach(item => event.categories.push(item));
+                break;
+            case 'STATUS':
+                event.status = value.toUpperCase();
+                break;
+            case 'DTSTART':
+                event.start = parseDateValue(value, params);
+                break;
+            case 'DTEND':
+                event.end = parseDateValue(value, params);
+                break;
+            case 'DURATION':
+                event.duration = parseDuration(value);
+                break;
+            case 'RRULE':
+                event.rule = parseRecurrenceRule(value);
+                break;
+            case 'EXDATE':
+                event.exdates = event.exdates.concat(dateList());
+                break;
+            case 'RDATE':
+                if (params.VALUE !== 'PERIOD') {
+                    event.rdates = event.rdates.concat(dateList());
+                }
+                break;
+            case 'RECURRENCE-ID':
+                event.recurrenceId = parseDateValue(value, params);
+                break;
+            default:
+                break;
+        }
+    });
+    
+    if (!event.start) {
+        warnings.push(`${label}: 事件 "${event.summary}" 缺少有效的 DTSTART，已忽略`);
+        return null;
+    }
+    if (event.rule && event.rule.unsupported) {
+        warnings.push(`${label}: 事件 "${event.summary}" 的重复规则包含不支持的 ${event.rule.unsupported}，只保留第一次`);
+        event.rule = null;
+    }
+    return event;
+}
+
+// 解析 ICS 文本，返回 { name, timezone, events, warnings }
+// name 为日历名称 (X-WR-CALNAME，没有时使用 label)，timezone 为日历默认时区 (X-WR-TIMEZONE)
+function parseIcs(text, label = 'calendar') {
+    const calendar = { name: label, timezone: null, events: [], warnings: [] };
+    const unknownTimezones = new Set();
+    const stack = [];
+    let eventLines = null;
+    
+    unfoldLines(text).forEach(line => {
+        const property = parseContentLine(line);
+        if (!property) {
+            return;
+        }
+        
+        if (property.name === 'BEGIN') {
+            stack.push(property.value.toUpperCase());
+            if (property.value.toUpperCase() === 'VEVENT' && stack.length === 2) {
+                eventLines = [];
+            }
+            return;
+        }
+        if (property.name === 'END') {
+            if (property.value.toUpperCase() === 'VEVENT' && eventLines) {
+                const event = parseEvent(eventLines, calendar.warnings, label);
+                if (event) {
+                    calendar.events.push(event);
+                }
+                eventLines = null;
+            }
+            stack.pop();
+            return;
+        }
+        
+        if (eventLines && stack.length === 2) {
+            eventLines.push(line);
+        } else if (stack.length === 1 && property.name === 'X-WR-CALNAME') {
+            calendar.name = unescapeText(property.value) || label;
+        } else if (stack.length === 1 && property.name === 'X-WR-TIMEZONE') {
+            calendar.timezone = resolveTimezone(property.value);
+        }
+    });
+    
+    // 时区名称在解析时统一转换，无法识别的时区改用日历默认时区或显示时区
+    calendar.events.forEach(event => {
+        [event.start, event.end, event.recurrenceId].concat(event.exdates, event.rdates).forEach(value => {
+            if (value && value.tzid) {
+                const timeZone = resolveTimezone(value.tzid);
+                if (!timeZone) {
+                    unknownTimezones.add(value.tzid);
+                }
+                value.tzid = timeZone;
+            }
+        });
+    });
+    unknownTimezones.forEach(tzid => {
+        calendar.warnings.push(`${label}: 无法识别的时区 ${tzid}，将按日历默认时区处理`);
+    });
+    
+    return calendar;
+}
+
+// 读取 ICS 文件或目录 (目录下的 *.ics 文件，不含子目录)
+// 返回 { calendars, errors }，单个文件读取失败不影响其他文件
+function loadIcsSources(sources) {
+    const calendars = [];
+    const errors = [];
+    const files = [];
+    
+    sources.forEach(source => {
+        const sourcePath = path.resolve(source);
+        try {
+            if (fs.statSync(sourcePath).isDirectory()) {
+                fs.readdirSync(sourcePath)
+                    .filter(name => name.toLowerCase().endsWith('.ics'))
+                    .sort()
+                    .forEach(name => files.push(path.join(sourcePath, name)));
+            } else {
+                files.push(sourcePath);
+            }
+        } catch (error) {
+            errors.push(`${sourcePath}: ${error.message}`);
+        }
+    });
+    
+    files.forEach(file => {
+        try {
+            const calendar = parseIcs(fs.readFileSync(file, 'utf8'), path.basename(file, path.extname(file)));
+            calendar.file = file;
+            calendars.push(calendar);
+        } catch (error) {
+            errors.push(`${file}: ${error.message}`);
+        }
+    });
+    
+    return { calendars, errors };
+}
+
+// 日期值转换为 UTC 毫秒 (全天事件为当天 00:00)
+function toUtcMs(value, defaultTimezone) {
+    const wallMs = value.dayNumber * DAY_MS + value.seconds * 1000;
+    if (value.utc) {
+        return wallMs;
+    }
+    return zonedToUtc(wallMs, value.tzid || defaultTimezone);
+}
+
+// 计算日期值所在的当地日序号 (UTC 时间按事件时区换算，便于按当地日期展开重复规则)
+function toLocalValue(value, timeZone) {
+    if (!value.utc) {
+        return value;
+    }
+    const ms = value.dayNumber * DAY_MS + value.seconds * 1000;
+    const wallMs = ms + getTimezoneOffset(ms, timeZone);
+    return {
+        dayNumber: Math.floor(wallMs / DAY_MS),
+        seconds: Math.floor((wallMs % DAY_MS) / 1000),
+        allDay: false,
+        utc: false,
+        tzid: timeZone
+    };
+}
+
+// 展开 BYDAY: 在 [firstDay, lastDay] 范围内查找匹配的星期，nth 为范围内的序号 (负数从末尾数)
+function expandByDay(byDay, firstDay, lastDay) {
+    const days = [];
+    byDay.forEach(({ weekday, nth }) => {
+        const first = firstDay + (weekday - weekdayOf(firstDay) + 7) % 7;
+        const matches = [];
+        for (let day = first; day <= lastDay; day += 7) {
+            matches.push(day);
+        }
+        if (nth === 0) {
+            matches.forEach(day => days.push(day));
+        } else {
+            const day = nth > 0 ? matches[nth - 1] : matches[matches.length + nth];
+            if (day !== undefined) {
+                days.push(day);
+            }
+        }
+    });
+    return days;
+}
+
+// 展开 BYMONTHDAY: 该月的指定日期 (负数从月末数)，不存在的日期跳过
+function expandByMonthDay(byMonthDay, year, month) {
+    const daysInMonth = getDaysInMonth(year, month);
+    return byMonthDay
+        .map(day => (day > 0 ? day : daysInMonth + day + 1))
+        .filter(day => day >= 1 && day <= daysInMonth)
+        .map(day => toDayNumber(year, month, day));
+}
+
+// 计算某个月内符合规则的日期
+function expandMonth(rule, year, month, startDate) {
+    const firstDay = toDayNumber(year, month, 1);
+    const lastDay = firstDay + getDaysInMonth(year, month) - 1;
+    
+    if (rule.byMonthDay.length > 0) {
+        const days = expandByMonthDay(rule.byMonthDay, year, month);
+        if (rule.byDay.length === 0) {
+            return days;
+        }
+        const weekdays = rule.byDay.map(item => item.weekday);
+        return days.filter(day => weekdays.includes(weekdayOf(day)));
+    }
+    if (rule.byDay.length > 0) {
+        return expandByDay(rule.byDay, firstDay, lastDay);
+    }
+    return startDate.day <= getDaysInMonth(year, month) ? [toDayNumber(year, month, startDate.day)] : [];
+}
+
+// 计算第 period 个周期的第一天 (每周从 WKST 开始，每月、每年从 1 日开始)
+function getPeriodStart(rule, startDay, period) {
+    const startDate = fromDayNumber(startDay);
+    if (rule.freq === 'DAILY') {
+        return startDay + period * rule.interval;
+    }
+    if (rule.freq === 'WEEKLY') {
+        return startDay - (weekdayOf(startDay) - rule.weekStart + 7) % 7 + period * rule.interval * 7;
+    }
+    if (rule.freq === 'MONTHLY') {
+        const monthIndex = startDate.year * 12 + startDate.month - 1 + period * rule.interval;
+        return toDayNumber(Math.floor(monthIndex / 12), monthIndex % 12 + 1, 1);
+    }
+    return toDayNumber(startDate.year + period * rule.interval, 1, 1);
+}
+
+// 计算第 period 个周期内符合规则的日期 (已排序、去重，BYSETPOS 按周期内的序号筛选)
+function expandPeriod(rule, startDay, period) {
+    const startDate = fromDayNumber(startDay);
+    const periodStart = getPeriodStart(rule, startDay, period);
+    const periodDate = fromDayNumber(periodStart);
+    let days = [];
+    
+    if (rule.freq === 'DAILY') {
+        const day = periodStart;
+        const weekdays = rule.byDay.map(item => item.weekday);
+        const date = fromDayNumber(day);
+        const monthDays = expandByMonthDay(rule.byMonthDay, date.year, date.month);
+        if ((weekdays.length === 0 || weekdays.includes(weekdayOf(day))) &&
+            (rule.byMonthDay.length === 0 || monthDays.includes(day))) {
+            days = [day];
+        }
+    } else if (rule.freq === 'WEEKLY') {
+        const weekdays = rule.byDay.length > 0 ? rule.byDay.map(item => item.weekday) : [weekdayOf(startDay)];
+        for (let day = periodStart; day < periodStart + 7; day++) {
+            if (weekdays.includes(weekdayOf(day))) {
+                days.push(day);
+            }
+        }
+    } else if (rule.freq === 'MONTHLY') {
+        days = expandMonth(rule, periodDate.year, periodDate.month, startDate);
+    } else {
+        const year = periodDate.year;
+        if (rule.byMonth.length === 0 && rule.byMonthDay.length === 0 && rule.byDay.length > 0) {
+            // 没有 BYMONTH 时 BYDAY 的序号按全年计算，如 20MO 为一年中的第 20 个周一
+            days = expandByDay(rule.byDay, toDayNumber(year, 1, 1), toDayNumber(year, 12, 31));
+        } else {
+            const months = rule.byMonth.length > 0 ? rule.byMonth :
+                (rule.byMonthDay.length > 0 ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [startDate.month]);
+            months.forEach(month => {
+                expandMonth(rule, year, month, startDate).forEach(day => days.push(day));
+            });
+        }
+    }
+    
+    if (rule.byMonth.length > 0) {
+        days = days.filter(day => rule.byMonth.includes(fromDayNumber(day).month));
+    }
+    days = days.filter((day, index, list) => list.indexOf(day) === index).sort((a, b) => a - b);
+    
+    if (rule.bySetPos.length > 0) {
+        days = rule.bySetPos
+            .map(pos => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+            .filter(day => day !== undefined)
+            .sort((a, b) => a - b);
+    }
+    return days;
+}
+
+// 按重复规则展开事件的开始日序号 (当地日期)，直到 lastDay 为止
+// DTSTART 总是第一次，COUNT 从 DTSTART 开始计数
+function expandRecurrence(start, rule, lastDay, timeZone) {
+    const days = [start.dayNumber];
+    if (!rule) {
+        return days;
+    }
+    
+    // UNTIL 为日期时按日期比较，为时间时按时刻比较 (只在接近 UNTIL 的日期换算时区)
+    let untilMs = null;
+    let untilDay = null;
+    if (rule.until && rule.until.allDay) {
+        untilDay = rule.until.dayNumber;
+    } else if (rule.until) {
+        untilMs = toUtcMs(rule.until, timeZone);
+    }
+    
+    let count = 1;
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        if (getPeriodStart(rule, start.dayNumber, period) > lastDay) {
+            return days;
+        }
+        for (const day of expandPeriod(rule, start.dayNumber, period)) {
+            if (day <= start.dayNumber) {
+                continue;
+            }
+            if (day > lastDay || (rule.count && count >= rule.count)) {
+                return days;
+            }
+            if (untilDay !== null && day > untilDay) {
+                return days;
+            }
+            if (untilMs !== null && day >= Math.floor(untilMs / DAY_MS) - 1 &&
+                zonedToUtc(day * DAY_MS + start.seconds * 1000, timeZone) > untilMs) {
+                return days;
+            }
+            days.push(day);
+            count++;
+        }
+    }
+    return days;
+}
+
+// 计算指定日期的日程
+// calendars 为 parseIcs / loadIcsSources 的结果，dateStr 为 YYYY-MM-DD，timeZone 为显示时区
+// 返回 [{ summary, location, description, categories, calendar, allDay, start, end, startsBefore, endsAfter }]
+// 定时事件的 start / end 为 Date，全天事件为 YYYY-MM-DD (end 不含当天)；全天事件在前，其余按开始时间排序
+function getAgenda(calendars, dateStr, timeZone) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const targetDay = toDayNumber(year, month, day);
+    const dayStartMs = zonedToUtc(targetDay * DAY_MS, timeZone);
+    const dayEndMs = zonedToUtc((targetDay + 1) * DAY_MS, timeZone);
+    const items = [];
+    
+    calendars.forEach(calendar => {
+        const defaultTimezone = calendar.timezone || timeZone;
+        const instanceKey = (value, eventTimezone) => {
+            return value.allDay ? `D${value.dayNumber}` : `T${toUtcMs(value, eventTimezone)}`;
+        };
+        
+        // 按 UID 收集单次修改 (RECURRENCE-ID)，展开时跳过被修改的那一次
+        const modified = {};
+        calendar.events.filter(event => event.recurrenceId && event.uid).forEach(event => {
+            const eventTimezone = event.start.tzid || defaultTimezone;
+            modified[event.uid] = modified[event.uid] || new Set();
+            modified[event.uid].add(instanceKey(event.recurrenceId, eventTimezone));
+        });
+        
+        calendar.events.forEach(event => {
+            if (event.status === 'CANCELLED') {
+                return;
+            }
+            const eventTimezone = event.start.tzid || defaultTimezone;
+            const start = toLocalValue(event.start, eventTimezone);
+            
+            // 事件时长: DTEND、DURATION，都没有时全天事件为 1 天，定时事件为 0
+            let durationDays = 1;
+            let durationMs = 0;
+            if (event.end && event.start.allDay) {
+                durationDays = Math.max(1, event.end.dayNumber - event.start.dayNumber);
+            } else if (event.end) {
+                durationMs = Math.max(0, toUtcMs(event.end, event.end.tzid || defaultTimezone) - toUtcMs(event.start, eventTimezone));
+            } else if (event.duration) {
+                durationDays = Math.max(1, event.duration.days);
+                durationMs = Math.max(0, event.duration.ms);
+            }
+            
+            // 时区差最多不超过 1 天，多展开 2 天以覆盖所有可能落在当天的开始时间
+            const spanDays = event.start.allDay ? durationDays : Math.ceil(durationMs / DAY_MS);
+            const startDays = event.recurrenceId ? [start.dayNumber] :
+                expandRecurrence(start, event.rule, targetDay + 2, eventTimezone);
+            event.rdates.forEach(value => startDays.push(toLocalValue(value, value.tzid || eventTimezone).dayNumber));
+            
+            const excluded = new Set(event.exdates.map(value => instanceKey(value, value.tzid || eventTimezone)));
+            const skipped = (!event.recurrenceId && modified[event.uid]) || new Set();
+            const seen = new Set();
+            
+            startDays.filter(startDay => startDay >= targetDay - spanDays - 2).forEach(startDay => {
+                const value = { dayNumber: startDay, seconds: start.seconds, allDay: start.allDay, utc: false, tzid: eventTimezone };
+                const key = instanceKey(value, eventTimezone);
+                if (excluded.has(key) || skipped.has(key) || seen.has(key)) {
+                    return;
+                }
+                seen.add(key);
+                
+                const item = {
+                    summary: event.summary,
+                    location: event.location,
+                    description: event.description,
+                    categories: event.categories.slice(),
+                    calendar: calendar.name,
+                    allDay: start.allDay
+                };
+                if (start.allDay) {
+                    if (startDay > targetDay || startDay + durationDays <= targetDay) {
+                        return;
+                    }
+                    item.start = formatDayNumber(startDay);
+                    item.end = formatDayNumber(startDay + durationDays);
+                    item.startsBefore = startDay < targetDay;
+                    item.endsAfter = startDay + durationDays > targetDay + 1;
+                } else {
+                    const startMs = toUtcMs(value, eventTimezone);
+                    const endMs = startMs + durationMs;
+                    const overlaps = startMs < dayEndMs && (endMs > dayStartMs || (endMs === startMs && startMs >= dayStartMs));
+                    if (!overlaps) {
+                        return;
+                    }
+                    item.start = new Date(startMs);
+                    item.end = new Date(endMs);
+                    item.startsBefore = startMs < dayStartMs;
+                    item.endsAfter = endMs > dayEndMs;
+                }
+                items.push(item);
+            });
+        });
+    });
+    
+    const sortKey = item => (item.allDay ? -Infinity : item.start.getTime());
+    return items.sort((a, b) => sortKey(a) - sortKey(b) || a.summary.localeCompare(b.summary));
+}
+
+module.exports = {
+    resolveTimezone,
+    parseIcs,
+    loadIcsSources,
+    getAgenda
+};
@@ -0,0 +1,496 @@
+/**
+ * 农历、二十四节气及传统节日计算模块 (离线，无需联网)
+ *
+ * 按天文算法计算:
+ * - 太阳视黄经: VSOP87 地球日心黄经 (Meeus《天文算法》附录节选) + 章动 + 光行差
+ * - 朔 (新月) 时刻: Meeus《天文算法》第 49 章
+ * - 农历规则: 以北京时间 (UTC+8，1929 年以前为北京地方平时 UTC+7:45:40) 定朔日，冬至所在月为十一月，
+ *   两个冬至之间有 13 个月时，第一个不含中气的月份为闰月
+ *
+ * 支持范围: 1900 - 2100 年
+ *
+ * 作者: CodeBuddy
+ * 功能: 公历与农历互转、二十四节气、传统节日
+ */
+
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+// 北京时间相对 UT 的偏移 (天)
+const BEIJING_OFFSET = 8 / 24;
+
+// 1929 年以前使用北京地方平时 (东经 116°25′，UTC+7:45:40)
+const BEIJING_MEAN_TIME_OFFSET = (116 + 25 / 60) / 360;
+
+// 改用 UTC+8 的时刻: 1929-01-01 00:00 北京地方平时 (UT 儒略日)
+const STANDARD_TIME_START = 2425612.5 - BEIJING_MEAN_TIME_OFFSET;
+
+const RAD = Math.PI / 180;
+
+// 二十四节气名称，从小寒 (太阳视黄经 285°) 开始
+const SOLAR_TERM_NAMES = [
+    '小寒', '大寒', '立春', '雨水', '惊蛰', '春分', '清明', '谷雨',
+    '立夏', '小满', '芒种', '夏至', '小暑', '大暑', '立秋', '处暑',
+    '白露', '秋分', '寒露', '霜降', '立冬', '小雪', '大雪', '冬至'
+];
+
+const HEAVENLY_STEMS = '甲乙丙丁戊己庚辛壬癸';
+const EARTHLY_BRANCHES = '子丑寅卯辰巳午未申酉戌亥';
+const ZODIAC_ANIMALS = '鼠牛虎兔龙蛇马羊猴鸡狗猪';
+const MONTH_NAMES = ['正月', '二月', '三月', '四月', '五月', '六月', '七月', '八月', '九月', '十月', '冬月', '腊月'];
+const DAY_NAMES = [
+    '初一', '初二', '初三', '初四', '初五', '初六', '初七', '初八', '初九', '初十',
+    '十一', '十二', '十三', '十四', '十五', '十六', '十七', '十八', '十九', '二十',
+    '廿一', '廿二', '廿三', '廿四', '廿五', '廿六', '廿七', '廿八', '廿九', '三十'
+];
+
+// 农历传统节日 (月-日，last 表示该月最后一天)
+const LUNAR_FESTIVALS = {
+    '01-01': '春节',
+    '01-15': '元宵节',
+    '02-02': '龙抬头',
+    '05-05': '端午节',
+    '07-07': '七夕节',
+    '07-15': '中元节',
+    '08-15': '中秋节',
+    '09-09': '重阳节',
+    '12-08': '腊八节',
+    '12-23': '小年',
+    '12-last': '除夕'
+};
+
+// VSOP87 地球日心黄经级数 [振幅(1e-8 弧度), 相位, 频率]
+const EARTH_L = [
+    [
+        [175347046, 0, 0], [3341656, 4.6692568, 6283.07585], [34894, 4.6261, 12566.1517],
+        [3497, 2.7441, 5753.3849], [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715],
+        [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097], [1324, 0.7425, 11506.7698],
+        [1273, 2.0371, 529.691], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+        [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694],
+        [753, 2.533, 5507.553], [505, 4.583, 18849.228], [492, 4.205, 775.523],
+        [357, 2.92, 0.067], [317, 5.849, 11790.629], [284, 1.899, 796.298],
+        [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+        [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299],
+        [132, 3.411, 2942.463], [126, 1.083, 20.775], [115, 0.645, 0.98],
+        [103, 0.636, 4694.003], [102, 0.976, 15720.839], [102, 4.267, 7.114],
+        [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+        [85, 1.3, 6275.96], [85, 3.67, 71430.7], [80, 1.81, 17260.15],
+        [79, 3.04, 12036.46], [75, 1.76, 5088.63], [74, 3.5, 3154.69],
+        [74, 4.68, 801.82], [70, 0.83, 9437.76], [62, 3.98, 8827.39],
+        [61, 1.82, 7084.9], [57, 2.78, 6286.6], [56, 4.39, 14143.5],
+        [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02],
+        [51, 0.28, 5856.48], [49, 0.49, 1194.45], [41, 5.37, 8429.24],
+        [41, 2.4, 19651.05], [39, 6.17, 10447.39], [37, 6.04, 10213.29],
+        [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+        [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87],
+        [25, 3.16, 4690.48]
+    ],
+    [
+        [628331966747, 0, 0], [206059, 2.678235, 6283.07585], [4303, 2.6351, 12566.1517],
+        [425, 1.59, 3.523], [119, 5.796, 26.298], [109, 2.966, 1577.344],
+        [93, 2.59, 18849.23], [72, 1.14, 529.69], [68, 1.87, 398.15],
+        [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+        [45, 0.4, 796.3], [36, 0.47, 775.52], [29, 2.65, 7.11],
+        [21, 5.34, 0.98], [19, 1.85, 5486.78], [19, 4.97, 213.3],
+        [17, 2.99, 6275.96], [16, 0.03, 2544.31], [16, 1.43, 2146.17],
+        [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+        [12, 5.27, 1194.45], [12, 2.08, 4694.0], [11, 0.77, 553.57],
+        [10, 1.3, 6286.6], [10, 4.24, 1349.87], [9, 2.7, 242.73],
+        [9, 5.64, 951.72], [8, 5.3, 2352.87], [6, 2.65, 9437.76],
+        [6, 4.67, 4690.48]
+    ],
+    [
+        [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152],
+        [27, 0.05, 3.52], [16, 5.19, 26.3], [16, 3.68, 155.42],
+        [10, 0.76, 18849.23], [9, 2.06, 77713.77], [7, 0.83, 775.52],
+        [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+        [3, 5.14, 796.3], [3, 6.05, 5507.55], [3, 1.19, 242.73],
+        [3, 6.12, 529.69], [3, 0.31, 398.15], [3, 2.28, 553.57],
+        [2, 4.38, 5223.69], [2, 3.75, 0.98]
+    ],
+    [
+        [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15],
+        [3, 5.2, 155.42], [1, 4.72, 3.52], [1, 5.3, 18849.23],
+        [1, 5.97, 242.73]
+    ],
+    [
+        [114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15]
+    ],
+    [
+        [1, 3.14, 0]
+    ]
+];
+
+// 朔望月计算中行星摄动项 [系数, 初始值, k 的系数]
+const NEW_MOON_PLANETARY_TERMS = [
+    [0.000165, 251.88, 0.016321], [0.000164, 251.83, 26.651886], [0.000126, 349.42, 36.412478],
+    [0.000110, 84.66, 18.206239], [0.000062, 141.74, 53.303771], [0.000060, 207.14, 2.453732],
+    [0.000056, 154.84, 7.30686], [0.000047, 34.52, 27.261239], [0.000042, 207.19, 0.121824],
+    [0.000040, 291.34, 1.844379], [0.000037, 161.72, 24.198154], [0.000035, 239.56, 25.513099],
+    [0.000023, 331.55, 3.592518]
+];
+
+// 将角度归一化到 [0, 360)
+function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+// 公历日期 (UTC 零点) 对应的儒略日
+function dateToJulianDay(year, month, day) {
+    return Date.UTC(year, month - 1, day) / 86400000 + 2440587.5;
+}
+
+// 儒略日转换为公历日期字符串 YYYY-MM-DD (按 UTC)
+function julianDayToDateString(jd) {
+    return new Date(Math.round((jd - 2440587.5) * 86400000)).toISOString().slice(0, 10);
+}
+
+// 计算 ΔT = TT - UT (秒)，使用 Espenak & Meeus 多项式
+function deltaT(year) {
+    let t;
+    if (year < 1900) {
+        t = year - 1860;
+        return 7.62 + 0.5737 * t - 0.251754 * t * t + 0.01680668 * t ** 3 -
+            0.0004473624 * t ** 4 + t ** 5 / 233174;
+    }
+    if (year < 1920) {
+        t = year - 1900;
+        return -2.79 + 1.494119 * t - 0.0598939 * t * t + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+    }
+    if (year < 1941) {
+        t = year - 1920;
+        return 21.2 + 0.84493 * t - 0.0761 * t * t + 0.0020936 * t ** 3;
+    }
+    if (year < 1961) {
+        t = year - 1950;
+        return 29.07 + 0.407 * t - t * t / 233 + t ** 3 / 2547;
+    }
+    if (year < 1986) {
+        t = year - 1975;
+        return 45.45 + 1.067 * t - t * t / 260 - t ** 3 / 718;
+    }
+    if (year < 2005) {
+        t = year - 2000;
+        return 63.86 + 0.3345 * t - 0.060374 * t * t + 0.0017275 * t ** 3 +
+            0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (year < 2050) {
+        t = year - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t * t;
+    }
+    return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+}
+
+// 力学时 (TT) 儒略日转换为北京时间的儒略日 (1929 年以前为北京地方平时)
+function toBeijingJulianDay(jde) {
+    const year = 2000 + (jde - 2451545) / 365.25;
+    const ut = jde - deltaT(year) / 86400;
+    return ut + (ut < STANDARD_TIME_START ? BEIJING_MEAN_TIME_OFFSET : BEIJING_OFFSET);
+}
+
+// 北京时间儒略日所在的日期序号 (该日北京时间零点的儒略日)，用于按天比较
+function beijingDayNumber(jde) {
+    return Math.floor(toBeijingJulianDay(jde) + 0.5) - 0.5;
+}
+
+// 太阳视黄经 (度)
+function apparentSolarLongitude(jde) {
+    const tau = (jde - 2451545) / 365250;
+    
+    // 地球日心黄经
+    let longitude = 0;
+    EARTH_L.forEach((series, power) => {
+        const sum = series.reduce((total, [a, b, c]) => total + a * Math.cos(b + c * tau), 0);
+        longitude += sum * tau ** power;
+    });
+    longitude = longitude / 1e8 / RAD;
+    
+    // 转换为地心太阳黄经，并做 FK5 修正
+    let sunLongitude = longitude + 180 - 0.09033 / 3600;
+    
+    // 章动 (低精度公式，误差约 0.5")
+    const T = (jde - 2451545) / 36525;
+    const omega = (125.04452 - 1934.136261 * T) * RAD;
+    const meanSun = (280.4665 + 36000.7698 * T) * RAD;
+    const meanMoon = (218.3165 + 481267.8813 * T) * RAD;
+    const nutation = (-17.2 * Math.sin(omega) - 1.32 * Math.sin(2 * meanSun) -
+        0.23 * Math.sin(2 * meanMoon) + 0.21 * Math.sin(2 * omega)) / 3600;
+    
+    // 光行差
+    sunLongitude += nutation - 20.4898 / 3600;
+    
+    return normalizeDegrees(sunLongitude);
+}
+
+// 计算太阳视黄经到达指定角度的时刻 (力学时儒略日)，estimate 为估计值
+function solarLongitudeTime(targetDegrees, estimate) {
+    let jde = estimate;
+    for (let i = 0; i < 10; i++) {
+        let diff = targetDegrees - apparentSolarLongitude(jde);
+        diff = ((diff + 540) % 360) - 180;
+        jde += diff * 365.2422 / 360;
+        if (Math.abs(diff) < 1e-7) {
+            break;
+        }
+    }
+    return jde;
+}
+
+// 计算第 k 个朔的时刻 (力学时儒略日)，k=0 对应 2000-01-06 前后的朔
+function newMoonTime(k) {
+    const T = k / 1236.85;
+    const jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * T * T -
+        0.00000015 * T ** 3 + 0.00000000073 * T ** 4;
+    
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+    const M = (2.5534 + 29.1053567 * k - 0.0000014 * T * T - 0.00000011 * T ** 3) * RAD;
+    const Mp = (201.5643 + 385.81693528 * k + 0.0107582 * T * T + 0.00001238 * T ** 3 -
+        0.000000058 * T ** 4) * RAD;
+    const F = (160.7108 + 390.67050284 * k - 0.0016118 * T * T - 0.00000227 * T ** 3 +
+        0.000000011 * T ** 4) * RAD;
+    const omega = (124.7746 - 1.56375588 * k + 0.0020672 * T * T + 0.00000215 * T ** 3) * RAD;
+    
+    const correction =
+        -0.4072 * Math.sin(Mp) +
+        0.17241 * E * Math.sin(M) +
+        0.01608 * Math.sin(2 * Mp) +
+        0.01039 * Math.sin(2 * F) +
+        0.00739 * E * Math.sin(Mp - M) -
+        0.00514 * E * Math.sin(Mp + M) +
+        0.00208 * E * E * Math.sin(2 * M) -
+        0.00111 * Math.sin(Mp - 2 * F) -
+        0.00057 * Math.sin(Mp + 2 * F) +
+        0.00056 * E * Math.sin(2 * Mp + M) -
+        0.00042 * Math.sin(3 * Mp) +
+        0.00042 * E * Math.sin(M + 2 * F) +
+        0.00038 * E * Math.sin(M - 2 * F) -
+        0.00024 * E * Math.sin(2 * Mp - M) -
+        0.00017 * Math.sin(omega) -
+        0.00007 * Math.sin(Mp + 2 * M) +
+        0.00004 * Math.sin(2 * Mp - 2 * F) +
+        0.00004 * Math.sin(3 * M) +
+        0.00003 * Math.sin(Mp + M - 2 * F) +
+        0.00003 * Math.sin(2 * Mp + 2 * F) -
+        0.00003 * Math.sin(Mp + M + 2 * F) +
+        0.00003 * Math.sin(Mp - M + 2 * F) -
+        0.00002 * Math.sin(Mp - M - 2 * F) -
+        0.00002 * Math.sin(3 * Mp + M) +
+        0.00002 * Math.sin(4 * Mp);
+    
+    const planetary = 0.000325 * Math.sin((299.77 + 0.107408 * k - 0.009173 * T * T) * RAD) +
+        NEW_MOON_PLANETARY_TERMS.reduce((sum, [a, b, c]) => sum + a * Math.sin((b + c * k) * RAD), 0);
+    
+    return jde + correction + planetary;
+}
+
+// 冬至时刻 (力学时儒略日)
+function winterSolsticeTime(year) {
+    return solarLongitudeTime(270, dateToJulianDay(year, 12, 22));
+}
+
+// 查找不晚于指定日期的最近一次朔所在的日期序号
+function newMoonOnOrBefore(dayNumber) {
+    let k = Math.floor((dayNumber - 2451550.09766) / 29.530588861) + 1;
+    while (beijingDayNumber(newMoonTime(k)) > dayNumber) {
+        k--;
+    }
+    return k;
+}
+
+// 各年份二十四节气的缓存
+const solarTermCache = {};
+
+// 获取某年的二十四节气 [{ name, date }]，按日期排序
+function getSolarTerms(year) {
+    checkYear(year);
+    if (!solarTermCache[year]) {
+        // 小寒约在 1 月 5 日，之后每个节气相隔约 15.2 天
+        const start = dateToJulianDay(year, 1, 5);
+        solarTermCache[year] = SOLAR_TERM_NAMES.map((name, index) => {
+            const jde = solarLongitudeTime(normalizeDegrees(285 + index * 15), start + index * 15.2184);
+            return { name, date: julianDayToDateString(beijingDayNumber(jde) + 0.5) };
+        });
+    }
+    return solarTermCache[year];
+}
+
+// 各"岁" (两个冬至之间) 的农历月份缓存
+const suiCache = {};
+
+// 计算从 year-1 年冬至所在月 (十一月) 到 year 年冬至所在月之前的农历月份
+// 返回 [{ start: 日期序号, month, leap, year: 农历年 }]，最后附加下一个十一月的起始作为结束边界
+function getSuiMonths(year) {
+    if (suiCache[year]) {
+        return suiCache[year];
+    }
+    
+    const solsticeStart = beijingDayNumber(winterSolsticeTime(year - 1));
+    const solsticeEnd = beijingDayNumber(winterSolsticeTime(year));
+    const firstK = newMoonOnOrBefore(solsticeStart);
+    const lastK = newMoonOnOrBefore(solsticeEnd);
+    
+    const starts = [];
+    for (let k = firstK; k <= lastK; k++) {
+        starts.push(beijingDayNumber(newMoonTime(k)));
+    }
+    
+    // 中气 (太阳视黄经为 30° 的整数倍) 所在日期
+    const majorTerms = [];
+    for (let y = year - 1; y <= year; y++) {
+        const termStart = dateToJulianDay(y, 1, 20);
+        for (let i = 0; i < 12; i++) {
+            const jde = solarLongitudeTime(normalizeDegrees(300 + i * 30), termStart + i * 30.4368);
+            majorTerms.push(beijingDayNumber(jde));
+        }
+    }
+    const hasMajorTerm = index => majorTerms.some(day => day >= starts[index] && day < starts[index + 1]);
+    
+    // 两个十一月之间有 13 个月时需要置闰，第一个不含中气的月份为闰月
+    const monthCount = starts.length - 1;
+    let leapIndex = -1;
+    if (monthCount === 13) {
+        for (let i = 1; i < monthCount; i++) {
+            if (!hasMajorTerm(i)) {
+                leapIndex = i;
+                break;
+            }
+        }
+    }
+    
+    const months = [];
+    let month = 11;
+    let lunarYear = year - 1;
+    for (let i = 0; i < monthCount; i++) {
+        const leap = i === leapIndex;
+        if (i > 0 && !leap) {
+            month = month % 12 + 1;
+        }
+        if (month === 1 && !leap) {
+            lunarYear = year;
+        }
+        months.push({ start: starts[i], month, leap, year: lunarYear });
+    }
+    months.push({ start: starts[monthCount], month: 11, leap: false, year });
+    
+    suiCache[year] = months;
+    return months;
+}
+
+// 检查年份是否在支持范围内，minYear 用于允许 1900 年初所属的农历 1899 年
+function checkYear(year, minYear = MIN_YEAR) {
+    if (!(year >= minYear && year <= MAX_YEAR)) {
+        throw new RangeError(`农历计算仅支持 ${MIN_YEAR} - ${MAX_YEAR} 年: ${year}`);
+    }
+}
+
+// 解析 YYYY-MM-DD 为 [年, 月, 日]
+function parseDate(dateStr) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
+    if (!match) {
+        throw new Error(`日期格式错误，应为 YYYY-MM-DD: ${dateStr}`);
+    }
+    return [Number(match[1]), Number(match[2]), Number(match[3])];
+}
+
+// 获取农历年的干支名称，如 丙午
+function getGanzhiYear(lunarYear) {
+    const offset = lunarYear - 4;
+    return HEAVENLY_STEMS[((offset % 10) + 10) % 10] + EARTHLY_BRANCHES[((offset % 12) + 12) % 12];
+}
+
+// 公历转农历
+// 返回 { year, month, day, leap, monthDays, ganzhi, zodiac, monthName, dayName, text }
+function solarToLunar(dateStr) {
+    const [year, month, day] = parseDate(dateStr);
+    checkYear(year);
+    
+    const dayNumber = dateToJulianDay(year, month, day);
+    const candidates = getSuiMonths(year).slice(0, -1).concat(getSuiMonths(year + 1));
+    
+    for (let i = 0; i < candidates.length - 1; i++) {
+        const current = candidates[i];
+        const next = candidates[i + 1];
+        if (dayNumber >= current.start && dayNumber < next.start) {
+            const lunarDay = dayNumber - current.start + 1;
+            const monthName = (current.leap ? '闰' : '') + MONTH_NAMES[current.month - 1];
+            const dayName = DAY_NAMES[lunarDay - 1];
+            const ganzhi = getGanzhiYear(current.year);
+            const offset = current.year - 4;
+            return {
+                year: current.year,
+                month: current.month,
+                day: lunarDay,
+                leap: current.leap,
+                monthDays: next.start - current.start,
+                ganzhi,
+                zodiac: ZODIAC_ANIMALS[((offset % 12) + 12) % 12],
+                monthName,
+                dayName,
+                text: `${ganzhi}年${monthName}${dayName}`
+            };
+        }
+    }
+    
+    throw new RangeError(`无法计算农历日期: ${dateStr}`);
+}
+
+// 农历转公历，day 可以为 'last' 表示该月最后一天；该年没有对应月份或日期时返回 null
+function lunarToSolar(lunarYear, lunarMonth, lunarDay, leap = false) {
+    checkYear(lunarYear, MIN_YEAR - 1);
+    
+    // 农历年 lunarYear 的月份分布在 lunarYear 和 lunarYear+1 两个"岁"中
+    const months = getSuiMonths(lunarYear).slice(0, -1).concat(getSuiMonths(lunarYear + 1));
+    for (let i = 0; i < months.length - 1; i++) {
+        const item = months[i];
+        if (item.year === lunarYear && item.month === lunarMonth && item.leap === Boolean(leap)) {
+            const monthDays = months[i + 1].start - item.start;
+            const day = lunarDay === 'last' ? monthDays : lunarDay;
+            if (day < 1 || day > monthDays) {
+                return null;
+            }
+            return julianDayToDateString(item.start + day - 1 + 0.5);
+        }
+    }
+    return null;
+}
+
+// 获取指定日期的节气名称，不是节气当天时返回空字符串
+function getSolarTerm(dateStr) {
+    const [year] = parseDate(dateStr);
+    const term = getSolarTerms(year).find(item => item.date === dateStr);
+    return term ? term.name : '';
+}
+
+// 获取指定日期之后 (含当天) 的下一个节气 { name, date }
+function getNextSolarTerm(dateStr) {
+    const [year] = parseDate(dateStr);
+    const terms = getSolarTerms(year).concat(year < MAX_YEAR ? getSolarTerms(year + 1) : []);
+    return terms.find(item => item.date >= dateStr) || null;
+}
+
+// 获取指定日期的农历传统节日名称 (含清明)，没有时返回空字符串
+function getLunarFestival(dateStr) {
+    const lunar = solarToLunar(dateStr);
+    if (!lunar.leap) {
+        const key = `${String(lunar.month).padStart(2, '0')}-${String(lunar.day).padStart(2, '0')}`;
+        if (LUNAR_FESTIVALS[key]) {
+            return LUNAR_FESTIVALS[key];
+        }
+        if (lunar.month === 12 && lunar.day === lunar.monthDays) {
+            return LUNAR_FESTIVALS['12-last'];
+        }
+    }
+    return getSolarTerm(dateStr) === '清明' ? '清明节' : '';
+}
+
+module.exports = {
+    MIN_YEAR,
+    MAX_YEAR,
+    SOLAR_TERM_NAMES,
+    solarToLunar,
+    lunarToSolar,
+    getSolarTerms,
+    getSolarTerm,
+    getNextSolarTerm,
+    getLunarFestival
+};
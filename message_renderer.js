@@ -0,0 +1,261 @@
+/**
+ * 结构化通知消息及各通知平台的渲染器
+ *
+ * 消息结构:
+ * {
+ *     title: '标题',
+ *     sections: [{
+ *         title: '段落标题',                                   // 可选
+ *         badge: 'success',                                   // 可选: success / failure / warning / info，或 { status, text }
+ *         text: '多行文本',                                    // 可选
+ *         rows: [{ label: '键', value: '值', badge: 'success' }], // 可选，键值行
+ *         items: ['列表项']                                    // 可选
+ *     }],
+ *     footer: ['页脚文字']                                      // 可选
+ * }
+ *
+ * 渲染器 (所有文本都按目标格式转义，内容中的 * _ < 等字符原样显示):
+ * - renderText: 纯文本，不含标题 (标题由通知通道单独发送)
+ * - renderTelegram: Telegram MarkdownV2
+ * - renderHtml: HTML 邮件 (内联样式)
+ * - renderMarkdown: 企业微信 / 钉钉机器人 markdown 消息
+ *
+ * 作者: CodeBuddy
+ * 功能: 同一条消息按各通知平台的格式分别渲染
+ */
+
+// 状态标记: emoji 用于纯文本、Telegram 和钉钉，color 用于 HTML 和钉钉，wecom 为企业微信支持的颜色名
+const BADGES = {
+    success: { emoji: '✅', text: '成功', color: '#1a7f37', wecom: 'info' },
+    failure: { emoji: '❌', text: '失败', color: '#cf222e', wecom: 'warning' },
+    warning: { emoji: '⚠️', text: '注意', color: '#9a6700', wecom: 'warning' },
+    info: { emoji: 'ℹ️', text: '提示', color: '#0969da', wecom: 'comment' }
+};
+
+// 解析状态标记，返回 { emoji, text, color, wecom }，未设置或无法识别时返回 null
+function resolveBadge(badge) {
+    if (!badge) {
+        return null;
+    }
+    const status = typeof badge === 'string' ? badge : badge.status;
+    const preset = BADGES[status];
+    if (!preset) {
+        return null;
+    }
+    return Object.assign({}, preset, badge.text ? { text: String(badge.text) } : {});
+}
+
+// 将值转换为文本 (null / undefined 为空字符串)
+function toText(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+// 获取消息中有内容的段落
+function getSections(message) {
+    return (Array.isArray(message.sections) ? message.sections : []).filter(section => {
+        return section && (section.title || toText(section.text).trim() ||
+            (Array.isArray(section.rows) && section.rows.length > 0) ||
+            (Array.isArray(section.items) && section.items.length > 0));
+    });
+}
+
+// 获取消息的页脚行
+function getFooter(message) {
+    return (Array.isArray(message.footer) ? message.footer : []).map(toText).filter(Boolean);
+}
+
+// ==================== 纯文本 ====================
+
+// 纯文本: 段落之间空一行，键值行和列表项以 • 开头
+function renderText(message) {
+    const blocks = getSections(message).map(section => {
+        const lines = [];
+        const badge = resolveBadge(section.badge);
+        if (section.title) {
+            lines.push(badge ? `${badge.emoji} ${section.title}` : toText(section.title));
+        }
+        if (toText(section.text).trim()) {
+            lines.push(toText(section.text).replace(/\s+$/, ''));
+        }
+        (section.rows || []).forEach(row => {
+            const rowBadge = resolveBadge(row.badge);
+            lines.push(`• ${rowBadge ? `${rowBadge.emoji} ` : ''}${toText(row.label)}: ${toText(row.value)}`);
+        });
+        (section.items || []).forEach(item => lines.push(`• ${toText(item)}`));
+        return lines.join('\n');
+    });
+    
+    const footer = getFooter(message);
+    if (footer.length > 0) {
+        blocks.push(`${'-'.repeat(20)}\n${footer.join('\n')}`);
+    }
+    return blocks.join('\n\n');
+}
+
+// ==================== Telegram MarkdownV2 ====================
+
+// 转义 MarkdownV2 的保留字符 (https://core.telegram.org/bots/api#markdownv2-style)
+function escapeTelegram(text) {
+    return toText(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+// Telegram MarkdownV2: 标题和段落标题加粗，页脚为斜体
+function renderTelegram(message) {
+    const blocks = [];
+    if (message.title) {
+        blocks.push(`*${escapeTelegram(message.title)}*`);
+    }
+    
+    getSections(message).forEach(section => {
+        const lines = [];
+        const badge = resolveBadge(section.badge);
+        if (section.title) {
+            lines.push(`${badge ? `${badge.emoji} ` : ''}*${escapeTelegram(section.title)}*`);
+        }
+        if (toText(section.text).trim()) {
+            lines.push(escapeTelegram(toText(section.text).replace(/\s+$/, '')));
+        }
+        (section.rows || []).forEach(row => {
+            const rowBadge = resolveBadge(row.badge);
+            lines.push(`• ${rowBadge ? `${rowBadge.emoji} ` : ''}*${escapeTelegram(row.label)}:* ${escapeTelegram(row.value)}`);
+        });
+        (section.items || []).forEach(item => lines.push(`• ${escapeTelegram(item)}`));
+        blocks.push(lines.join('\n'));
+    });
+    
+    const footer = getFooter(message);
+    if (footer.length > 0) {
+        blocks.push(footer.map(line => `_${escapeTelegram(line)}_`).join('\n'));
+    }
+    return blocks.join('\n\n');
+}
+
+// ==================== HTML 邮件 ====================
+
+// 转义 HTML 特殊字符
+function escapeHtml(text) {
+    return toText(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// HTML 状态标记 (邮件客户端大多不支持样式表，使用内联样式)
+function htmlBadge(badge) {
+    return `<span style="display:inline-block;padding:0 6px;margin-right:6px;border-radius:3px;` +
+        `background:${badge.color};color:#ffffff;font-size:12px;line-height:18px;">${escapeHtml(badge.text)}</span>`;
+}
+
+// HTML 邮件: 完整的 HTML 文档，键值行为表格
+function renderHtml(message) {
+    const parts = [];
+    if (message.title) {
+        parts.push(`<h2 style="margin:0 0 16px;font-size:18px;">${escapeHtml(message.title)}</h2>`);
+    }
+    
+    getSections(message).forEach(section => {
+        const inner = [];
+        const badge = resolveBadge(section.badge);
+        if (section.title) {
+            inner.push(`<h3 style="margin:0 0 8px;font-size:15px;">${badge ? htmlBadge(badge) : ''}${escapeHtml(section.title)}</h3>`);
+        }
+        if (toText(section.text).trim()) {
+            const html = escapeHtml(toText(section.text).replace(/\s+$/, '')).replace(/\n/g, '<br>');
+            inner.push(`<p style="margin:0 0 8px;">${html}</p>`);
+        }
+        if (Array.isArray(section.rows) && section.rows.length > 0) {
+            const rows = section.rows.map(row => {
+                const rowBadge = resolveBadge(row.badge);
+                return '<tr>' +
+                    `<td style="padding:2px 12px 2px 0;color:#57606a;white-space:nowrap;">${escapeHtml(row.label)}</td>` +
+                    `<td style="padding:2px 0;">${rowBadge ? htmlBadge(rowBadge) : ''}${escapeHtml(row.value)}</td>` +
+                    '</tr>';
+            });
+            inner.push(`<table style="border-collapse:collapse;margin:0 0 8px;">${rows.join('')}</table>`);
+        }
+        if (Array.isArray(section.items) && section.items.length > 0) {
+            const items = section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+            inner.push(`<ul style="margin:0 0 8px;padding-left:20px;">${items}</ul>`);
+        }
+        parts.push(`<div style="margin:0 0 16px;">${inner.join('')}</div>`);
+    });
+    
+    const footer = getFooter(message);
+    if (footer.length > 0) {
+        parts.push(`<p style="margin:16px 0 0;padding-top:8px;border-top:1px solid #d0d7de;color:#6e7781;font-size:12px;">` +
+            `${footer.map(escapeHtml).join('<br>')}</p>`);
+    }
+    
+    return '<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"></head>\n' +
+        '<body style="margin:0;padding:16px;font-family:-apple-system,\'Segoe UI\',\'PingFang SC\',\'Microsoft YaHei\',sans-serif;' +
+        'font-size:14px;line-height:1.6;color:#24292f;">\n' +
+        `${parts.join('\n')}\n</body>\n</html>`;
+}
+
+// ==================== 企业微信 / 钉钉 markdown ====================
+
+// 转义 markdown 字符: 行内的强调、代码、链接、HTML 标签符号，以及行首的标题、引用、列表符号
+function escapeMarkdown(text) {
+    return toText(text)
+        .replace(/[\\`*_[\]]/g, '\\$&')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/^(\s*)(#|[-+]\s)/gm, '$1\\$2')
+        .replace(/^(\s*\d+)\.(\s)/gm, '$1\\.$2');
+}
+
+// 企业微信 / 钉钉 markdown 状态标记
+function markdownBadge(badge, flavor) {
+    const color = flavor === 'wecom' ? badge.wecom : badge.color;
+    return `<font color="${color}">${badge.emoji} ${escapeMarkdown(badge.text)}</font> `;
+}
+
+// 企业微信 (flavor = wecom) / 钉钉 (flavor = dingtalk) markdown 消息
+// 钉钉的 markdown 需要空行或行尾两个空格才会换行，企业微信直接使用换行
+function renderMarkdown(message, flavor = 'wecom') {
+    const newline = flavor === 'dingtalk' ? '  \n' : '\n';
+    const blocks = [];
+    if (message.title) {
+        blocks.push(`### ${escapeMarkdown(message.title)}`);
+    }
+    
+    getSections(message).forEach(section => {
+        const lines = [];
+        const badge = resolveBadge(section.badge);
+        if (section.title) {
+            lines.push(`${badge ? markdownBadge(badge, flavor) : ''}**${escapeMarkdown(section.title)}**`);
+        }
+        if (toText(section.text).trim()) {
+            toText(section.text).replace(/\s+$/, '').split('\n').forEach(line => lines.push(escapeMarkdown(line)));
+        }
+        (section.rows || []).forEach(row => {
+            const rowBadge = resolveBadge(row.badge);
+            const value = `${rowBadge ? markdownBadge(rowBadge, flavor) : ''}${escapeMarkdown(row.value)}`;
+            lines.push(flavor === 'wecom' ?
+                `> ${escapeMarkdown(row.label)}: ${value}` :
+                `- ${escapeMarkdown(row.label)}: ${value}`);
+        });
+        (section.items || []).forEach(item => lines.push(`- ${escapeMarkdown(item)}`));
+        blocks.push(lines.join(newline));
+    });
+    
+    const footer = getFooter(message);
+    if (footer.length > 0) {
+        const color = flavor === 'wecom' ? 'comment' : '#6e7781';
+        blocks.push(footer.map(line => `<font color="${color}">${escapeMarkdown(line)}</font>`).join(newline));
+    }
+    return blocks.join('\n\n');
+}
+
+module.exports = {
+    BADGES,
+    renderText,
+    renderTelegram,
+    renderHtml,
+    renderMarkdown,
+    escapeTelegram,
+    escapeHtml,
+    escapeMarkdown
+};
@@ -0,0 +1,577 @@
+/**
+ * 内置通知通道模块 (未找到青龙 sendNotify.js 时使用)
+ *
+ * 支持的通知通道及环境变量 (变量名与青龙 sendNotify.js 保持一致):
+ * 通用 Webhook: WEBHOOK_URL, WEBHOOK_METHOD, WEBHOOK_CONTENT_TYPE, WEBHOOK_BODY, WEBHOOK_HEADERS
+ * Telegram Bot: TG_BOT_TOKEN, TG_USER_ID, TG_API_HOST
+ * 钉钉机器人: DD_BOT_TOKEN, DD_BOT_SECRET, DD_API_HOST
+ * 飞书机器人: FSKEY, FSSECRET, FS_API_HOST
+ * 企业微信机器人: QYWX_KEY, QYWX_ORIGIN
+ * Bark: BARK_PUSH, BARK_SOUND, BARK_GROUP, BARK_ICON
+ * PushPlus: PUSH_PLUS_TOKEN, PUSH_PLUS_USER, PUSH_PLUS_API_HOST
+ * Server酱: PUSH_KEY, SERVERCHAN_API_HOST
+ * SMTP 邮件: SMTP_SERVER, SMTP_SSL, SMTP_EMAIL, SMTP_PASSWORD, SMTP_NAME, SMTP_TO
+ * NOTIFY_TIMEOUT: 单个通道的超时时间 (毫秒，可选，默认 15000)
+ * NOTIFY_FORMAT: 消息格式，text 表示所有通道都发送纯文本 (可选，默认按通道使用
+ *   Telegram MarkdownV2、HTML 邮件、企业微信 / 钉钉 markdown)
+ *
+ * 以 _HOST / _ORIGIN 结尾的变量可指向本地模拟服务 (如 http://127.0.0.1:8080)，用于测试
+ *
+ * 作者: CodeBuddy
+ * 功能: 不依赖 sendNotify.js 和第三方 npm 包，直接调用各通知平台接口
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// 消息渲染模块 (缺失时所有通道发送纯文本)
+let messageRenderer;
+try {
+    messageRenderer = require('./message_renderer.js');
+} catch (error) {
+    messageRenderer = null;
+}
+
+const DEFAULT_TIMEOUT = 15000;
+
+// 默认日志输出函数
+function defaultLog(message, level = 'INFO') {
+    const timestamp = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+    console.log(`[${timestamp}] [${level}] ${message}`);
+}
+
+// 将主机名或完整地址统一为不带结尾斜杠的 origin (未写协议时默认 https)
+function normalizeOrigin(value, defaultOrigin) {
+    const origin = value || defaultOrigin;
+    const withProtocol = /^https?:\/\//.test(origin) ? origin : `https://${origin}`;
+    return withProtocol.replace(/\/+$/, '');
+}
+
+// 发送 HTTP 请求，返回 { status, body, json }
+function httpRequest(url, options = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'http:' ? http : https;
+        const body = options.body === undefined ? null : Buffer.from(options.body);
+        const headers = Object.assign({}, options.headers);
+        if (body) {
+            headers['Content-Length'] = body.length;
+        }
+        
+        const req = client.request(target, {
+            method: options.method || 'GET',
+            headers,
+            timeout: options.timeout || DEFAULT_TIMEOUT
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                let json = null;
+                try {
+                    json = JSON.parse(text);
+                } catch (error) {
+                    // 非 JSON 响应
+                }
+                resolve({ status: res.statusCode, body: text, json });
+            });
+        });
+        
+        req.on('timeout', () => req.destroy(new Error(`请求超时 (${options.timeout || DEFAULT_TIMEOUT}ms)`)));
+        req.on('error', reject);
+        if (body) {
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+// 以 JSON 格式 POST 请求
+function postJson(url, data, timeout) {
+    return httpRequest(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+        body: JSON.stringify(data),
+        timeout
+    });
+}
+
+// 根据接口返回判断是否成功，失败时抛出包含返回内容的错误
+function expectResponse(response, isSuccess) {
+    if (response.status >= 200 && response.status < 300 && isSuccess(response.json || {})) {
+        return response;
+    }
+    const detail = response.body ? response.body.substring(0, 200) : '';
+    throw new Error(`HTTP ${response.status} ${detail}`);
+}
+
+// ==================== SMTP ====================
+
+// 创建 SMTP 响应读取器，返回 { read, setSocket }
+function createSmtpReader(socket) {
+    let buffer = '';
+    let lines = [];
+    const responses = [];
+    const waiters = [];
+    let failure = null;
+    
+    const deliver = item => {
+        const waiter = waiters.shift();
+        if (waiter) {
+            item.error ? waiter.reject(item.error) : waiter.resolve(item.response);
+        } else {
+            responses.push(item);
+        }
+    };
+    
+    const onData = chunk => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            lines.push(line);
+            // 多行响应以 "250-" 延续，以 "250 " 结束
+            if (/^\d{3}(?: |$)/.test(line)) {
+                deliver({ response: { code: Number(line.slice(0, 3)), lines } });
+                lines = [];
+            }
+        }
+    };
+    
+    const onError = error => {
+        failure = error;
+        deliver({ error });
+    };
+    
+    const attach = target => {
+        target.on('data', onData);
+        target.on('error', onError);
+    };
+    attach(socket);
+    
+    return {
+        read() {
+            if (responses.length > 0) {
+                const item = responses.shift();
+                return item.error ? Promise.reject(item.error) : Promise.resolve(item.response);
+            }
+            if (failure) {
+                return Promise.reject(failure);
+            }
+            return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+        },
+        setSocket(target) {
+            socket.removeListener('data', onData);
+            attach(target);
+        }
+    };
+}
+
+// 按 RFC 2047 编码邮件头中的非 ASCII 文本
+function encodeMailHeader(text) {
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+// Base64 编码并按 76 字符折行 (邮件正文)
+function encodeMailBody(text) {
+    return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// 发送 SMTP 邮件 (支持 SSL 直连和 STARTTLS，使用 AUTH LOGIN 认证)
+// 传入 html 时发送 multipart/alternative 邮件，不支持 HTML 的客户端显示 text
+async function sendSmtpMail(options) {
+    const { host, port, secure, user, pass, from, fromName, to, subject, text, html, timeout } = options;
+    
+    let socket = secure ?
+        tls.connect({ host, port, servername: host }) :
+        net.connect({ host, port });
+    socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP 连接超时 (${timeout}ms)`)));
+    const reader = createSmtpReader(socket);
+    
+    // 发送命令并检查响应码，label 用于错误信息 (避免在日志中输出账号密码)
+    const command = async (line, expectedCodes, label = line) => {
+        if (line !== null) {
+            socket.write(`${line}\r\n`);
+        }
+        const response = await reader.read();
+        if (!expectedCodes.includes(response.code)) {
+            throw new Error(`SMTP ${label} 失败: ${response.lines.join(' ')}`);
+        }
+        return response;
+    };
+    
+    try {
+        await command(null, [220], '连接');
+        let ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        
+        // 非 SSL 连接时，服务器支持则升级为 TLS
+        if (!secure && ehlo.lines.some(line => /STARTTLS/i.test(line))) {
+            await command('STARTTLS', [220]);
+            const plainSocket = socket;
+            socket = tls.connect({ socket: plainSocket, servername: host });
+            socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP 连接超时 (${timeout}ms)`)));
+            reader.setSocket(socket);
+            await new Promise((resolve, reject) => {
+                socket.once('secureConnect', resolve);
+                socket.once('error', reject);
+            });
+            ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        }
+        
+        if (user && pass) {
+            await command('AUTH LOGIN', [334]);
+            await command(Buffer.from(user).toString('base64'), [334], '认证用户名');
+            await command(Buffer.from(pass).toString('base64'), [235], '认证密码');
+        }
+        
+        await command(`MAIL FROM:<${from}>`, [250]);
+        for (const recipient of to) {
+            await command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await command('DATA', [354]);
+        
+        const headers = [
+            `From: ${encodeMailHeader(fromName)} <${from}>`,
+            `To: ${to.map(recipient => `<${recipient}>`).join(', ')}`,
+            `Subject: ${encodeMailHeader(subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${from.split('@')[1] || 'localhost'}>`,
+            'MIME-Version: 1.0'
+        ];
+        let body;
+        if (html) {
+            const boundary = `----=_Part_${crypto.randomBytes(8).toString('hex')}`;
+            headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+            body = [
+                `--${boundary}`,
+                'Content-Type: text/plain; charset=UTF-8',
+                'Content-Transfer-Encoding: base64',
+                '',
+                encodeMailBody(text),
+                `--${boundary}`,
+                'Content-Type: text/html; charset=UTF-8',
+                'Content-Transfer-Encoding: base64',
+                '',
+                encodeMailBody(html),
+                `--${boundary}--`
+            ].join('\r\n');
+        } else {
+            headers.push('Content-Type: text/plain; charset=UTF-8', 'Content-Transfer-Encoding: base64');
+            body = encodeMailBody(text);
+        }
+        const message = `${headers.join('\r\n')}\r\n\r\n${body}`;
+        
+        await command(`${message}\r\n.`, [250], 'DATA');
+        socket.write('QUIT\r\n');
+    } finally {
+        socket.end();
+    }
+}
+
+// ==================== 通知通道 ====================
+
+// 通知通道定义: name 为显示名称，isConfigured 判断环境变量是否完整，send 发送消息
+// target 为指定接收目标 (如聊天 ID、收件人) 的环境变量，为不同接收人发送时通过 options.env 覆盖
+// secret 为与接收目标配套的签名密钥的环境变量 (钉钉、飞书机器人加签)
+// limit 为单条消息的长度上限: bytes 为 true 时按 UTF-8 字节数计算，markdown 为发送 markdown 消息时的上限
+// send 的 message 为结构化消息 (见 message_renderer.js)，为 null 时发送纯文本 content
+const CHANNELS = {
+    webhook: {
+        name: '通用 Webhook',
+        target: 'WEBHOOK_URL',
+        isConfigured: env => Boolean(env.WEBHOOK_URL),
+        async send(title, content, env, timeout) {
+            // $title 和 $content 会被替换为标题和内容 (与青龙 sendNotify.js 一致)
+            const method = (env.WEBHOOK_METHOD || 'POST').toUpperCase();
+            const contentType = env.WEBHOOK_CONTENT_TYPE || 'application/json';
+            const fill = (template, encode) => template
+                .replace(/\$title/g, encode(title))
+                .replace(/\$content/g, encode(content));
+            
+            const url = fill(env.WEBHOOK_URL, encodeURIComponent);
+            const headers = {};
+            (env.WEBHOOK_HEADERS || '').split('\n').forEach(line => {
+                const index = line.indexOf(':');
+                if (index > 0) {
+                    headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+                }
+            });
+            
+            let body;
+            if (method !== 'GET') {
+                headers['Content-Type'] = contentType;
+                if (env.WEBHOOK_BODY) {
+                    const jsonEscape = value => JSON.stringify(value).slice(1, -1);
+                    body = fill(env.WEBHOOK_BODY, contentType.includes('json') ? jsonEscape : encodeURIComponent);
+                } else {
+                    body = JSON.stringify({ title, content });
+                }
+            }
+            
+            const response = await httpRequest(url, { method, headers, body, timeout });
+            return expectResponse(response, () => true);
+        }
+    },
+    
+    telegram: {
+        name: 'Telegram Bot',
+        target: 'TG_USER_ID',
+        limit: { length: 4096 },
+        isConfigured: env => Boolean(env.TG_BOT_TOKEN && env.TG_USER_ID),
+        async send(title, content, env, timeout, message) {
+            const origin = normalizeOrigin(env.TG_API_HOST, 'https://api.telegram.org');
+            const data = {
+                chat_id: env.TG_USER_ID,
+                text: renderForChannel('telegram', title, content, message),
+                disable_web_page_preview: true
+            };
+            if (message) {
+                data.parse_mode = 'MarkdownV2';
+            }
+            const response = await postJson(`${origin}/bot${env.TG_BOT_TOKEN}/sendMessage`, data, timeout);
+            return expectResponse(response, json => json.ok === true);
+        }
+    },
+    
+    dingtalk: {
+        name: '钉钉机器人',
+        target: 'DD_BOT_TOKEN',
+        secret: 'DD_BOT_SECRET',
+        limit: { length: 20000, bytes: true },
+        isConfigured: env => Boolean(env.DD_BOT_TOKEN),
+        async send(title, content, env, timeout, message) {
+            const origin = normalizeOrigin(env.DD_API_HOST, 'https://oapi.dingtalk.com');
+            let url = `${origin}/robot/send?access_token=${encodeURIComponent(env.DD_BOT_TOKEN)}`;
+            if (env.DD_BOT_SECRET) {
+                // 加签: HmacSHA256(timestamp + "\n" + secret)
+                const timestamp = Date.now();
+                const sign = crypto.createHmac('sha256', env.DD_BOT_SECRET)
+                    .update(`${timestamp}\n${env.DD_BOT_SECRET}`)
+                    .digest('base64');
+                url += `&timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+            }
+            const text = renderForChannel('dingtalk', title, content, message);
+            const data = message ?
+                { msgtype: 'markdown', markdown: { title, text } } :
+                { msgtype: 'text', text: { content: text } };
+            const response = await postJson(url, data, timeout);
+            return expectResponse(response, json => json.errcode === 0);
+        }
+    },
+    
+    feishu: {
+        name: '飞书机器人',
+        target: 'FSKEY',
+        secret: 'FSSECRET',
+        limit: { length: 30000, bytes: true },
+        isConfigured: env => Boolean(env.FSKEY),
+        async send(title, content, env, timeout) {
+            const origin = normalizeOrigin(env.FS_API_HOST, 'https://open.feishu.cn');
+            const data = {
+                msg_type: 'text',
+                content: { text: `${title}\n\n${content}` }
+            };
+            if (env.FSSECRET) {
+                // 签名校验: 以 timestamp + "\n" + secret 为密钥对空字符串做 HmacSHA256
+                const timestamp = Math.floor(Date.now() / 1000);
+                data.timestamp = String(timestamp);
+                data.sign = crypto.createHmac('sha256', `${timestamp}\n${env.FSSECRET}`).update('').digest('base64');
+            }
+            const response = await postJson(`${origin}/open-apis/bot/v2/hook/${env.FSKEY}`, data, timeout);
+            return expectResponse(response, json => json.code === 0 || json.StatusCode === 0);
+        }
+    },
+    
+    wecom: {
+        name: '企业微信机器人',
+        target: 'QYWX_KEY',
+        limit: { length: 2048, bytes: true, markdown: 4096 },
+        isConfigured: env => Boolean(env.QYWX_KEY),
+        async send(title, content, env, timeout, message) {
+            const origin = normalizeOrigin(env.QYWX_ORIGIN, 'https://qyapi.weixin.qq.com');
+            const text = renderForChannel('wecom', title, content, message);
+            const data = message ?
+                { msgtype: 'markdown', markdown: { content: text } } :
+                { msgtype: 'text', text: { content: text } };
+            const response = await postJson(`${origin}/cgi-bin/webhook/send?key=${encodeURIComponent(env.QYWX_KEY)}`, data, timeout);
+            return expectResponse(response, json => json.errcode === 0);
+        }
+    },
+    
+    bark: {
+        name: 'Bark',
+        target: 'BARK_PUSH',
+        limit: { length: 3000, bytes: true },
+        isConfigured: env => Boolean(env.BARK_PUSH),
+        async send(title, content, env, timeout) {
+            // BARK_PUSH 可以是设备码，也可以是完整地址 (自建服务器或本地模拟服务)
+            const base = /^https?:\/\//.test(env.BARK_PUSH) ?
+                env.BARK_PUSH.replace(/\/+$/, '') :
+                `https://api.day.app/${env.BARK_PUSH}`;
+            const data = { title, body: content };
+            if (env.BARK_SOUND) {
+                data.sound = env.BARK_SOUND;
+            }
+            if (env.BARK_GROUP) {
+                data.group = env.BARK_GROUP;
+            }
+            if (env.BARK_ICON) {
+                data.icon = env.BARK_ICON;
+            }
+            const response = await postJson(`${base}/push`, data, timeout);
+            return expectResponse(response, json => json.code === 200);
+        }
+    },
+    
+    pushplus: {
+        name: 'PushPlus',
+        target: 'PUSH_PLUS_TOKEN',
+        limit: { length: 20000 },
+        isConfigured: env => Boolean(env.PUSH_PLUS_TOKEN),
+        async send(title, content, env, timeout) {
+            const origin = normalizeOrigin(env.PUSH_PLUS_API_HOST, 'https://www.pushplus.plus');
+            const data = {
+                token: env.PUSH_PLUS_TOKEN,
+                title,
+                content: content.replace(/\n/g, '<br>'),
+                template: 'html'
+            };
+            if (env.PUSH_PLUS_USER) {
+                data.topic = env.PUSH_PLUS_USER;
+            }
+            const response = await postJson(`${origin}/send`, data, timeout);
+            return expectResponse(response, json => json.code === 200);
+        }
+    },
+    
+    serverchan: {
+        name: 'Server酱',
+        target: 'PUSH_KEY',
+        limit: { length: 32000, bytes: true },
+        isConfigured: env => Boolean(env.PUSH_KEY),
+        async send(title, content, env, timeout) {
+            // Server酱³ 的 SendKey 以 sctp{uid}t 开头，使用独立域名
+            const sctp = /^sctp(\d+)t/i.exec(env.PUSH_KEY);
+            const defaultOrigin = sctp ? `https://${sctp[1]}.push.ft07.com` : 'https://sctapi.ftqq.com';
+            const origin = normalizeOrigin(env.SERVERCHAN_API_HOST, defaultOrigin);
+            const url = sctp ? `${origin}/send/${env.PUSH_KEY}.send` : `${origin}/${env.PUSH_KEY}.send`;
+            const response = await httpRequest(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: `title=${encodeURIComponent(title)}&desp=${encodeURIComponent(content.replace(/\n/g, '\n\n'))}`,
+                timeout
+            });
+            return expectResponse(response, json => json.code === 0 || (json.data && json.data.errno === 0));
+        }
+    },
+    
+    smtp: {
+        name: 'SMTP 邮件',
+        target: 'SMTP_TO',
+        isConfigured: env => Boolean(env.SMTP_SERVER && env.SMTP_EMAIL),
+        async send(title, content, env, timeout, message) {
+            const [host, port] = env.SMTP_SERVER.split(':');
+            const secure = String(env.SMTP_SSL).toLowerCase() === 'true';
+            const to = (env.SMTP_TO || env.SMTP_EMAIL).split(/[,;\s]+/).filter(Boolean);
+            await sendSmtpMail({
+                host,
+                port: Number(port) || (secure ? 465 : 25),
+                secure,
+                user: env.SMTP_EMAIL,
+                pass: env.SMTP_PASSWORD,
+                from: env.SMTP_EMAIL,
+                fromName: env.SMTP_NAME || '青龙通知',
+                to,
+                subject: title,
+                text: content,
+                html: message ? messageRenderer.renderHtml(Object.assign({}, message, { title })) : null,
+                timeout
+            });
+        }
+    }
+};
+
+// 生成通道实际发送的正文: Telegram 为 MarkdownV2，钉钉 / 企业微信为 markdown，其余为标题加纯文本内容
+function renderForChannel(key, title, content, message) {
+    if (message && key === 'telegram') {
+        return messageRenderer.renderTelegram(Object.assign({}, message, { title }));
+    }
+    if (message && (key === 'dingtalk' || key === 'wecom')) {
+        return messageRenderer.renderMarkdown(Object.assign({}, message, { title }), key);
+    }
+    return `${title}\n\n${content}`;
+}
+
+// 按 NOTIFY_FORMAT 决定是否使用结构化消息 (需要 message_renderer.js)
+function resolveMessage(message, env) {
+    return message && messageRenderer && String(env.NOTIFY_FORMAT).toLowerCase() !== 'text' ? message : null;
+}
+
+// 判断消息是否在通道的长度上限内 (按通道实际发送的格式计算)，没有上限的通道始终返回 true
+function fitsChannel(key, title, content, message = null, env = process.env) {
+    const channel = CHANNELS[key];
+    if (!channel || !channel.limit) {
+        return true;
+    }
+    const resolved = resolveMessage(message, env);
+    const text = renderForChannel(key, title, content, resolved);
+    const limit = resolved && channel.limit.markdown ? channel.limit.markdown : channel.limit.length;
+    return (channel.limit.bytes ? Buffer.byteLength(text, 'utf8') : text.length) <= limit;
+}
+
+// 获取已配置的通知通道名称列表
+function getConfiguredChannels(env = process.env) {
+    return Object.keys(CHANNELS).filter(key => CHANNELS[key].isConfigured(env));
+}
+
+// 通过所有已配置的通道发送通知，返回每个通道的结果
+// options.channels: 只使用指定的通道 (如 ['telegram', 'bark'])
+// options.env: 覆盖环境变量 (如 { BARK_PUSH: 'xxx' })，用于为不同接收人指定不同目标
+// options.log: 日志输出函数
+// options.message: 结构化消息 (见 message_renderer.js)，支持的通道按平台格式渲染，其余通道发送 content
+async function sendNotify(title, content, options = {}) {
+    const log = options.log || defaultLog;
+    const env = Object.assign({}, process.env, options.env);
+    const timeout = Number(env.NOTIFY_TIMEOUT) || DEFAULT_TIMEOUT;
+    const message = resolveMessage(options.message, env);
+    
+    let channelKeys = getConfiguredChannels(env);
+    if (Array.isArray(options.channels)) {
+        options.channels.filter(key => !CHANNELS[key]).forEach(key => {
+            log(`未知的通知通道: ${key}`, 'WARN');
+        });
+        const notConfigured = options.channels.filter(key => CHANNELS[key] && !channelKeys.includes(key));
+        notConfigured.forEach(key => log(`通知通道 ${CHANNELS[key].name} 缺少必要的配置，已跳过`, 'WARN'));
+        channelKeys = channelKeys.filter(key => options.channels.includes(key));
+    }
+    
+    if (channelKeys.length === 0) {
+        log('没有已配置的通知通道', 'WARN');
+        return { success: false, results: [] };
+    }
+    
+    // 各通道并行发送，互不影响
+    const results = await Promise.all(channelKeys.map(async key => {
+        const channel = CHANNELS[key];
+        try {
+            await channel.send(title, content, env, timeout, message);
+            log(`${channel.name} 通知发送成功`);
+            return { channel: key, name: channel.name, success: true };
+        } catch (error) {
+            log(`${channel.name} 通知发送失败: ${error.message}`, 'ERROR');
+            return { channel: key, name: channel.name, success: false, error: error.message };
+        }
+    }));
+    
+    return {
+        success: results.some(result => result.success),
+        results
+    };
+}
+
+module.exports = { sendNotify, getConfiguredChannels, fitsChannel, CHANNELS };
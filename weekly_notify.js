@@ -5,9 +5,24 @@
  * const $ = new Env('每日通知');
  * 
  * 环境变量说明:
- * WEEKLY_NOTIFY_CONFIG: 通知配置文件路径 (可选，默认使用 weekly_notify_config.json)
+ * WEEKLY_NOTIFY_CONFIG: 通知配置文件路径，支持 JSON 和 YAML (可选，默认在当前目录和脚本目录查找
+ *   weekly_notify_config.json / .yaml / .yml，都没有时使用内置示例配置)
  * WEEKLY_NOTIFY_TITLE: 通知标题前缀 (可选，默认为 "每日提醒")
  * WEEKLY_NOTIFY_ENABLED: 是否启用通知 (可选，默认为 true)
+ * WEEKLY_NOTIFY_STATE: 消息轮换状态文件路径 (可选，默认为脚本目录下的 weekly_notify_state.json)
+ * WEEKLY_NOTIFY_TIMEZONE: 判断日期和星期使用的时区 (可选，默认为配置文件 settings.timezone 或 Asia/Shanghai)
+ * WEEKLY_NOTIFY_NOW: 模拟当前时间，用于测试 (可选，如 2026-10-01T07:30:00+08:00)
+ * WEEKLY_NOTIFY_STRICT: 严格模式，配置验证失败时停止发送 (可选，默认为 false)
+ * WEEKLY_NOTIFY__<路径>: 覆盖任意配置项，层级以 __ 分隔，值按 JSON 解析 (配置项只接受字符串时保留原文)
+ *   (可选，如 WEEKLY_NOTIFY__SETTINGS__UPCOMING_DAYS=3)
+ * 
+ * 配置优先级: 环境变量 > 配置文件 > 内置默认值 (逐层深度合并)
+ * 
+ * 命令行参数 (本地预览配置，青龙定时任务无需添加):
+ * --date YYYY-MM-DD: 模拟指定日期并预览通知 (同 --dry-run，不发送)
+ * --range N: 预览从今天 (或 --date) 起 N 天的通知，不发送
+ * --dry-run: 只生成并输出通知内容，不发送、不保存轮换状态
+ * --validate: 只验证配置文件，有错误时以非零状态码退出
  * 
  * 定时任务建议: 0 9 * * * (每天上午9点执行)
  * 
@@ -18,6 +33,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 // 尝试引入通知模块
 let sendNotify;
@@ -27,23 +43,229 @@ try {
     console.log('未找到 sendNotify.js，将使用内置通知功能');
 }
 
+// 内置通知通道 (sendNotify.js 不可用时直接调用各平台接口)
+let notifyChannels;
+try {
+    notifyChannels = require('./notify_channels.js');
+} catch (error) {
+    notifyChannels = null;
+}
+
+// 农历及节气计算模块 (缺失时农历相关变量为空，lunar/term 调度规则不会匹配)
+let lunarCalendar;
+try {
+    lunarCalendar = require('./lunar_calendar.js');
+} catch (error) {
+    lunarCalendar = null;
+}
+
+// ICS 日程模块 (缺失时 agenda 配置不生效)
+let icsCalendar;
+try {
+    icsCalendar = require('./ics_calendar.js');
+} catch (error) {
+    icsCalendar = null;
+}
+
+// 内容提供器模块 (缺失时 providers 配置不生效)
+let contentProviders;
+try {
+    contentProviders = require('./content_providers.js');
+} catch (error) {
+    contentProviders = null;
+}
+
+// 配置加载模块 (JSON / YAML 解析、配置合并、JSON Schema 校验)
+// 缺失时只支持 JSON 配置文件，WEEKLY_NOTIFY__<路径> 环境变量不生效，也不做 JSON Schema 结构检查
+let configLoader;
+try {
+    configLoader = require('./config_loader.js');
+} catch (error) {
+    configLoader = null;
+}
+
+// 消息渲染模块 (结构化消息转换为纯文本，内置通知通道按平台转换为 Markdown / HTML)，缺失时通知使用纯文本格式
+let messageRenderer;
+try {
+    messageRenderer = require('./message_renderer.js');
+} catch (error) {
+    messageRenderer = null;
+}
+
 // 配置信息
 const CONFIG = {
     DEFAULT_CONFIG_FILE: 'weekly_notify_config.json',
+    CONFIG_FILE_NAMES: ['weekly_notify_config.json', 'weekly_notify_config.yaml', 'weekly_notify_config.yml'],
+    SCHEMA_FILE: path.join(__dirname, 'weekly_notify_config.schema.json'),
+    ENV_OVERRIDE_PREFIX: 'WEEKLY_NOTIFY__',
     DEFAULT_TITLE_PREFIX: '每日提醒',
-    TIMEZONE: 'Asia/Shanghai'
+    STATE_FILE: process.env.WEEKLY_NOTIFY_STATE || path.join(__dirname, 'weekly_notify_state.json'), // 轮换状态文件路径
+    TIMEZONE: 'Asia/Shanghai', // 加载配置后由 applyTimezone 更新
+    DEFAULT_TIMEZONE: 'Asia/Shanghai'
 };
 
+// 时钟函数，测试时可通过 setClock 或 WEEKLY_NOTIFY_NOW 替换
+let clock = () => new Date();
+
 // 日志输出函数
 function log(message, level = 'INFO') {
-    const timestamp = new Date().toLocaleString('zh-CN', { timeZone: CONFIG.TIMEZONE });
+    const timestamp = now().toLocaleString('zh-CN', { timeZone: CONFIG.TIMEZONE });
     console.log(`[${timestamp}] [${level}] ${message}`);
 }
 
+// 获取当前时间
+function now() {
+    return clock();
+}
+
+// 替换时钟函数 (传入返回 Date 的函数，不传则恢复系统时钟)
+function setClock(fn) {
+    clock = typeof fn === 'function' ? fn : () => new Date();
+}
+
+// 根据 WEEKLY_NOTIFY_NOW 环境变量固定当前时间
+function applyClockOverride() {
+    const fakeNow = process.env.WEEKLY_NOTIFY_NOW;
+    if (!fakeNow) {
+        return;
+    }
+    
+    const fixed = new Date(fakeNow);
+    if (isNaN(fixed.getTime())) {
+        log(`WEEKLY_NOTIFY_NOW 格式无效: ${fakeNow}，将使用系统时间`, 'WARN');
+        return;
+    }
+    setClock(() => new Date(fixed.getTime()));
+    log(`使用模拟时间: ${fixed.toISOString()}`, 'WARN');
+}
+
+// 检查时区名称是否有效
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 确定使用的时区: 环境变量 > 配置文件 > 默认值
+function applyTimezone(config) {
+    const timeZone = process.env.WEEKLY_NOTIFY_TIMEZONE ||
+                     (config && config.settings && config.settings.timezone) ||
+                     CONFIG.DEFAULT_TIMEZONE;
+    
+    if (!isValidTimezone(timeZone)) {
+        log(`无效的时区: ${timeZone}，将使用 ${CONFIG.DEFAULT_TIMEZONE}`, 'WARN');
+        CONFIG.TIMEZONE = CONFIG.DEFAULT_TIMEZONE;
+    } else {
+        CONFIG.TIMEZONE = timeZone;
+    }
+    log(`使用时区: ${CONFIG.TIMEZONE}`);
+}
+
+// 获取指定时区下的年月日时分秒 (不依赖容器本地时区)
+function getZonedParts(date, timeZone = CONFIG.TIMEZONE) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+    
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        // 部分 Node 版本在午夜输出 24
+        hour: parts.hour === '24' ? '00' : parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+// 内置法定节假日及调休上班数据 (来源: 国务院办公厅部分节假日安排的通知)
+// 每年的安排公布后可在配置文件 holiday_calendar.data 或 holiday_calendar.file 中补充
+const BUILTIN_HOLIDAYS = {
+    '2025': {
+        holidays: [
+            { name: '元旦', from: '2025-01-01', to: '2025-01-01' },
+            { name: '春节', from: '2025-01-28', to: '2025-02-04' },
+            { name: '清明节', from: '2025-04-04', to: '2025-04-06' },
+            { name: '劳动节', from: '2025-05-01', to: '2025-05-05' },
+            { name: '端午节', from: '2025-05-31', to: '2025-06-02' },
+            { name: '国庆节、中秋节', from: '2025-10-01', to: '2025-10-08' }
+        ],
+        workdays: [
+            { name: '春节', date: '2025-01-26' },
+            { name: '春节', date: '2025-02-08' },
+            { name: '劳动节', date: '2025-04-27' },
+            { name: '国庆节、中秋节', date: '2025-09-28' },
+            { name: '国庆节、中秋节', date: '2025-10-11' }
+        ]
+    },
+    '2026': {
+        holidays: [
+            { name: '元旦', from: '2026-01-01', to: '2026-01-03' },
+            { name: '春节', from: '2026-02-15', to: '2026-02-23' },
+            { name: '清明节', from: '2026-04-04', to: '2026-04-06' },
+            { name: '劳动节', from: '2026-05-01', to: '2026-05-05' },
+            { name: '端午节', from: '2026-06-19', to: '2026-06-21' },
+            { name: '中秋节', from: '2026-09-25', to: '2026-09-27' },
+            { name: '国庆节', from: '2026-10-01', to: '2026-10-07' }
+        ],
+        workdays: [
+            { name: '元旦', date: '2026-01-04' },
+            { name: '春节', date: '2026-02-14' },
+            { name: '春节', date: '2026-02-28' },
+            { name: '劳动节', date: '2026-05-09' },
+            { name: '国庆节', date: '2026-09-20' },
+            { name: '国庆节', date: '2026-10-10' }
+        ]
+    }
+};
+
+// 获取今天的日期信息 { date: 'YYYY-MM-DD', weekday } (按配置的时区计算)
+function getToday() {
+    const { year, month, day } = getZonedParts(now());
+    const date = `${year}-${month}-${day}`;
+    return {
+        date,
+        weekday: new Date(`${date}T00:00:00Z`).getUTCDay()
+    };
+}
+
 // 获取当前星期几 (0=周日, 1=周一, ..., 6=周六)
 function getCurrentWeekday() {
-    const now = new Date();
-    return now.getDay();
+    return getToday().weekday;
+}
+
+// 检查日期字符串格式 (YYYY-MM-DD)
+function isValidDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year &&
+           date.getUTCMonth() === month - 1 &&
+           date.getUTCDate() === day;
+}
+
+// 检查每年重复日期格式 (MM-DD)
+function isValidYearlyString(value) {
+    // 使用闰年校验，允许配置 02-29
+    return typeof value === 'string' && /^\d{2}-\d{2}$/.test(value) &&
+           isValidDateString(`2000-${value}`);
 }
 
 // 获取星期几的中文名称
@@ -52,43 +274,170 @@ function getWeekdayName(weekday) {
     return names[weekday] || '未知';
 }
 
-// 读取配置文件
-function loadConfig() {
-    const configFile = process.env.WEEKLY_NOTIFY_CONFIG || CONFIG.DEFAULT_CONFIG_FILE;
-    const configPath = path.resolve(configFile);
+// 配置的来源信息 (文件路径、各配置路径所在行号、环境变量覆盖)，用于错误定位
+const configSources = new WeakMap();
+
+// 查找配置文件: WEEKLY_NOTIFY_CONFIG 指定的路径，或当前目录、脚本目录下的默认文件名
+function findConfigFile() {
+    if (process.env.WEEKLY_NOTIFY_CONFIG) {
+        return path.resolve(process.env.WEEKLY_NOTIFY_CONFIG);
+    }
     
-    try {
-        if (!fs.existsSync(configPath)) {
-            log(`配置文件不存在: ${configPath}，将创建默认配置`, 'WARN');
-            createDefaultConfig(configPath);
+    const dirs = [process.cwd(), __dirname].filter((dir, index, list) => list.indexOf(dir) === index);
+    for (const dir of dirs) {
+        for (const name of CONFIG.CONFIG_FILE_NAMES) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
         }
-        
-        const configContent = fs.readFileSync(configPath, 'utf8');
-        const config = JSON.parse(configContent);
-        
-        log(`成功加载配置文件: ${configPath}`);
-        return config;
-        
-    } catch (error) {
-        log(`读取配置文件失败: ${error.message}`, 'ERROR');
-        log('将使用内置默认配置', 'WARN');
-        return getDefaultConfig();
     }
+    return null;
+}
+
+// 收集覆盖配置的环境变量 [{ name, keys, value }]
+// WEEKLY_NOTIFY_TITLE / WEEKLY_NOTIFY_TIMEZONE / WEEKLY_NOTIFY_STRICT 及 WEEKLY_NOTIFY__<路径>
+function getEnvOverrides() {
+    const overrides = [];
+    if (process.env.WEEKLY_NOTIFY_TITLE) {
+        overrides.push({ name: 'WEEKLY_NOTIFY_TITLE', keys: ['title_prefix'], value: process.env.WEEKLY_NOTIFY_TITLE });
+    }
+    if (process.env.WEEKLY_NOTIFY_TIMEZONE) {
+        overrides.push({ name: 'WEEKLY_NOTIFY_TIMEZONE', keys: ['settings', 'timezone'], value: process.env.WEEKLY_NOTIFY_TIMEZONE });
+    }
+    if (process.env.WEEKLY_NOTIFY_STRICT) {
+        overrides.push({ name: 'WEEKLY_NOTIFY_STRICT', keys: ['settings', 'strict'], value: process.env.WEEKLY_NOTIFY_STRICT === 'true' });
+    }
+    return configLoader ? overrides.concat(configLoader.collectEnvOverrides(process.env, CONFIG.ENV_OVERRIDE_PREFIX, loadConfigSchema())) : overrides;
+}
+
+// 读取配置文件，返回 { value, positions }；未部署 config_loader.js 时只支持 JSON 格式，不记录行号
+function readConfigFile(configPath) {
+    if (configLoader) {
+        return configLoader.loadConfigFile(configPath);
+    }
+    if (/\.ya?ml$/i.test(configPath)) {
+        throw new Error('读取 YAML 配置文件需要 config_loader.js');
+    }
+    return { value: JSON.parse(fs.readFileSync(configPath, 'utf8').replace(/^\uFEFF/, '')), positions: {} };
+}
+
+// 合并两层配置；未部署 config_loader.js 时顶层逐字段覆盖，对象类型的字段 (如 settings) 再合并一层
+function mergeConfig(base, override) {
+    if (configLoader) {
+        return configLoader.deepMerge(base, override);
+    }
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const result = Object.assign({}, base);
+    Object.keys(override).forEach(key => {
+        result[key] = isObject(base[key]) && isObject(override[key]) ? Object.assign({}, base[key], override[key]) : override[key];
+    });
+    return result;
+}
+
+// 按路径 (键数组) 设置配置值，中间缺少的对象自动创建
+function setConfigPath(config, keys, value) {
+    if (configLoader) {
+        configLoader.setPath(config, keys, value);
+        return;
+    }
+    const parent = keys.slice(0, -1).reduce((target, key) => {
+        target[key] = Object.assign({}, target[key]);
+        return target[key];
+    }, config);
+    parent[keys[keys.length - 1]] = value;
+}
+
+// 将配置路径 (键数组) 格式化为验证信息中的写法，数组下标写作 [i]，如 events[0].name
+function formatConfigPath(config, keys) {
+    let current = config;
+    return keys.reduce((result, key) => {
+        const text = Array.isArray(current) ? `${result}[${key}]` : (result ? `${result}.${key}` : key);
+        current = current && typeof current === 'object' ? current[key] : undefined;
+        return text;
+    }, '');
 }
 
-// 创建默认配置文件
-function createDefaultConfig(configPath) {
-    const defaultConfig = getDefaultConfig();
+// 加载配置: 内置默认值 < 配置文件 (JSON / YAML) < 环境变量，逐层深度合并
+// 配置文件无法读取或解析时，严格模式下抛出错误，否则使用内置示例配置继续执行
+function loadConfig(options = {}) {
+    const strict = options.strict !== undefined ? options.strict : process.env.WEEKLY_NOTIFY_STRICT === 'true';
+    const sources = { file: null, positions: {}, env: {} };
+    const configPath = findConfigFile();
+    let fileConfig;
     
-    try {
-        fs.writeFileSync(configPath, JSON.stringify(defaultConfig, null, 2), 'utf8');
-        log(`已创建默认配置文件: ${configPath}`);
-    } catch (error) {
-        log(`创建配置文件失败: ${error.message}`, 'ERROR');
+    if (!configPath) {
+        log(`未找到配置文件，使用内置示例配置 (可将 ${CONFIG.DEFAULT_CONFIG_FILE} 放到脚本目录后修改)`, 'WARN');
+        fileConfig = getDefaultConfig();
+    } else {
+        try {
+            const loaded = readConfigFile(configPath);
+            if (!loaded.value || typeof loaded.value !== 'object' || Array.isArray(loaded.value)) {
+                throw new Error('配置文件顶层必须是对象');
+            }
+            fileConfig = loaded.value;
+            sources.file = configPath;
+            sources.positions = loaded.positions;
+            log(`成功加载配置文件: ${configPath}`);
+        } catch (error) {
+            log(`读取配置文件失败: ${configPath}: ${error.message}`, 'ERROR');
+            if (strict) {
+                throw error;
+            }
+            log('将使用内置示例配置继续执行', 'WARN');
+            fileConfig = getDefaultConfig();
+        }
     }
+    
+    const config = mergeConfig(getBaseConfig(), fileConfig);
+    getEnvOverrides().forEach(({ name, keys, value }) => {
+        try {
+            setConfigPath(config, keys, value);
+        } catch (error) {
+            log(`环境变量 ${name} 无法覆盖配置: ${error.message}`, 'ERROR');
+            if (strict) {
+                throw error;
+            }
+            return;
+        }
+        const configPath = formatConfigPath(config, keys);
+        sources.env[configPath] = name;
+        log(`环境变量 ${name} 覆盖配置 ${configPath}`);
+    });
+    
+    configSources.set(config, sources);
+    return config;
+}
+
+// 内置默认值，作为最底层配置 (配置文件中未设置的项使用这里的值)
+function getBaseConfig() {
+    const sample = getDefaultConfig();
+    return {
+        title_prefix: CONFIG.DEFAULT_TITLE_PREFIX,
+        notifications: {},
+        overrides: [],
+        events: [],
+        holiday_calendar: sample.holiday_calendar,
+        agenda: {
+            sources: [],
+            title: '🗓️ 今日日程',
+            skip_all_day: false,
+            categories: [],
+            exclude_categories: []
+        },
+        providers: [],
+        settings: {
+            enabled: true,
+            fallback_message: sample.settings.fallback_message,
+            multi_match: 'merge',
+            upcoming_days: 0,
+            timezone: CONFIG.DEFAULT_TIMEZONE,
+            strict: false
+        }
+    };
 }
 
-// 获取默认配置
+// 获取内置示例配置 (未找到配置文件或配置文件无法解析时使用)
 function getDefaultConfig() {
     return {
         "title_prefix": "每日提醒",
@@ -122,169 +471,1874 @@ function getDefaultConfig() {
                 "content": "🌈 周六早上好！自由时光开始！\n\n今日建议：\n• 🎮 享受兴趣爱好\n• 🛍️ 购物或聚餐\n• 🏃‍♂️ 运动健身\n• 🧹 整理生活空间\n\n享受属于你的周末时光！ ✨"
             }
         },
+        "overrides": [],
+        "events": [],
+        "holiday_calendar": {
+            "enabled": true,
+            "holiday": {
+                "title": "{holiday} - 假期愉快",
+                "content": "🎊 今天是{holiday}假期！\n\n假期建议：\n• 🛌 好好休息放松\n• 👨‍👩‍👧‍👦 陪伴家人朋友\n• 🚗 出行注意安全\n\n祝你假期愉快！ 🎉"
+            },
+            "workday": {
+                "title": "{holiday}调休 - 今天上班",
+                "content": "⏰ 今天是{holiday}调休上班日（{weekday}）！\n\n别忘了：\n• ⏰ 按时起床上班\n• 📋 按工作日安排事项\n\n坚持一下，假期就在眼前！ 💪"
+            }
+        },
         "settings": {
             "enabled": true,
             "fallback_message": "今天是 {weekday}，祝你有美好的一天！ 😊",
-            "description": "配置说明：\n- title_prefix: 通知标题前缀\n- notifications: 每天的通知内容 (0=周日, 1=周一, ..., 6=周六)\n- settings.enabled: 是否启用通知\n- settings.fallback_message: 当找不到对应配置时的默认消息"
+            "multi_match": "merge",
+            "upcoming_days": 7,
+            "timezone": "Asia/Shanghai",
+            "description": "配置说明：\n- title_prefix: 通知标题前缀\n- notifications: 每天的通知内容 (0=周日, 1=周一, ..., 6=周六)\n- overrides: 指定日期的通知内容 (date 精确日期 / from+to 日期范围 / yearly 每年重复 MM-DD)\n- holiday_calendar: 法定节假日及调休上班日的通知内容\n- notifications 也支持调度规则键: every:N:W@YYYY-MM-DD / nth:K:W / monthday:D / workday:K / lunar:MM-DD / term:节气名\n- events: 生日、截止日期等事件 (date 一次性 / yearly 每年 / lunar 农历每年)，remind 设置提前提醒天数\n- agenda: 从 ICS 日历文件或目录读取今日日程 (sources)，skip_all_day 跳过全天事件，categories / exclude_categories 按分类筛选\n- providers: 内容提供器 (file 文件或目录 / http 接口 / command 命令输出 / module 自定义模块)，结果附加到当天消息末尾\n- settings.multi_match: 多条规则同时匹配时 merge 合并为一条 / separate 按 priority 分别发送\n- settings.upcoming_days: 大于 0 时在消息末尾附加未来 N 天的事件汇总\n- settings.timezone: 判断日期和星期使用的时区\n- settings.enabled: 是否启用通知\n- settings.fallback_message: 当找不到对应配置时的默认消息"
         }
     };
 }
 
-// 获取今日通知内容
-function getTodayNotification(config) {
-    const weekday = getCurrentWeekday();
-    const weekdayName = getWeekdayName(weekday);
+// 模板中可直接使用的变量
+const TEMPLATE_VARIABLES = [
+    'date', 'year', 'month', 'day', 'time',
+    'weekday', 'weekday_index', 'week_of_year', 'day_of_year', 'days_in_year',
+    'days_until_weekend', 'is_weekend', 'is_workday', 'is_holiday', 'holiday',
+    'lunar_date', 'lunar_year', 'lunar_zodiac', 'solar_term', 'next_solar_term',
+    'days_until_solar_term', 'festival'
+];
+
+// 模板中带参数的变量，如 {days_until:2026-12-31}、{env:HOME}
+const TEMPLATE_PARAM_VARIABLES = ['days_until', 'env'];
+
+// 模板过滤器，如 {date|format:YYYY年M月D日}
+const TEMPLATE_FILTERS = {
+    format: (value, pattern) => formatDateValue(value, pattern || 'YYYY-MM-DD'),
+    upper: value => String(value).toUpperCase(),
+    lower: value => String(value).toLowerCase(),
+    pad: (value, width) => String(value).padStart(Number(width) || 2, '0'),
+    default: (value, fallback) => (value === '' || value === undefined || value === null) ? (fallback || '') : value
+};
+
+// 按格式输出日期值 (支持 YYYY-MM-DD 及 YYYY-MM-DD HH:mm:ss 字符串)
+// 格式符: YYYY YY MM M DD D HH mm ss dddd(星期一) ddd(周一)
+function formatDateValue(value, pattern) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value));
+    if (!match) {
+        return String(value);
+    }
     
-    log(`今天是: ${weekdayName} (${weekday})`);
+    const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+    const weekday = parseDateString(`${year}-${month}-${day}`).getUTCDay();
+    const tokens = {
+        YYYY: year,
+        YY: year.slice(2),
+        MM: month,
+        M: String(Number(month)),
+        DD: day,
+        D: String(Number(day)),
+        HH: hour,
+        mm: minute,
+        ss: second,
+        dddd: getWeekdayName(weekday).replace('周', '星期'),
+        ddd: getWeekdayName(weekday)
+    };
     
-    // 检查是否启用通知
-    if (config.settings && config.settings.enabled === false) {
-        log('通知功能已禁用', 'WARN');
-        return null;
+    return pattern.replace(/YYYY|YY|MM|M|DD|D|HH|mm|ss|dddd|ddd/g, token => tokens[token]);
+}
+
+// 将模板拆分为文本和标签，{{ 和 }} 分别输出为字面量 { 和 }
+function tokenizeTemplate(template) {
+    const tokens = [];
+    const pattern = /\{\{|\}\}|\{([#/]?[A-Za-z_][^{}\n]*)\}/g;
+    let lastIndex = 0;
+    let match;
+    
+    while ((match = pattern.exec(template)) !== null) {
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+        }
+        if (match[0] === '{{' || match[0] === '}}') {
+            tokens.push({ type: 'text', value: match[0][0] });
+        } else {
+            tokens.push({ type: 'tag', value: match[1].trim() });
+        }
+        lastIndex = pattern.lastIndex;
     }
     
-    // 获取今日配置
-    const todayConfig = config.notifications && config.notifications[weekday.toString()];
+    if (lastIndex < template.length) {
+        tokens.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+    return tokens;
+}
+
+// 解析模板为语法树，语法错误时抛出异常
+// 支持 {变量}、{变量:参数}、{变量|过滤器:参数}、{#if 条件}...{else}...{/if}
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
     
-    if (todayConfig) {
-        const titlePrefix = process.env.WEEKLY_NOTIFY_TITLE || 
-                           config.title_prefix || 
-                           CONFIG.DEFAULT_TITLE_PREFIX;
-        
-        return {
-            title: `${titlePrefix} - ${todayConfig.title}`,
-            content: todayConfig.content,
-            weekday: weekdayName
-        };
-    } else {
-        // 使用备用消息
-        const fallbackMessage = (config.settings && config.settings.fallback_message) || 
-                               `今天是 {weekday}，祝你有美好的一天！ 😊`;
+    tokenizeTemplate(String(template)).forEach(token => {
+        const current = stack[stack.length - 1];
+        const target = current.inElse ? current.elseChildren : current.children;
         
-        const titlePrefix = process.env.WEEKLY_NOTIFY_TITLE || 
-                           config.title_prefix || 
-                           CONFIG.DEFAULT_TITLE_PREFIX;
-        
-        return {
-            title: `${titlePrefix} - ${weekdayName}`,
-            content: fallbackMessage.replace('{weekday}', weekdayName),
-            weekday: weekdayName
-        };
+        if (token.type === 'text') {
+            target.push(token);
+        } else if (/^#if\s+/.test(token.value)) {
+            const node = { type: 'if', condition: parseCondition(token.value.replace(/^#if\s+/, '')), children: [], elseChildren: [] };
+            target.push(node);
+            stack.push(node);
+        } else if (token.value === 'else') {
+            if (stack.length === 1 || current.inElse) {
+                throw new Error('{else} 没有对应的 {#if}');
+            }
+            current.inElse = true;
+        } else if (token.value === '/if') {
+            if (stack.length === 1) {
+                throw new Error('{/if} 没有对应的 {#if}');
+            }
+            stack.pop();
+        } else {
+            target.push({ type: 'var', expression: parseExpression(token.value) });
+        }
+    });
+    
+    if (stack.length > 1) {
+        throw new Error('{#if} 缺少对应的 {/if}');
     }
+    return root.children;
 }
 
-// 内置通知发送函数 (当 sendNotify.js 不可用时使用)
-async function builtinNotify(title, content) {
-    log('使用内置通知功能');
-    log(`标题: ${title}`);
-    log(`内容: ${content}`);
+// 解析变量表达式: name[:arg][|filter[:arg]]...
+function parseExpression(text) {
+    const parts = text.split('|').map(part => part.trim());
+    const splitArg = part => {
+        const index = part.indexOf(':');
+        return index === -1 ? [part, undefined] : [part.slice(0, index).trim(), part.slice(index + 1).trim()];
+    };
     
-    // 这里可以添加其他通知方式，比如直接调用青龙面板的通知API
-    // 或者输出到特定格式供其他程序读取
+    const [name, arg] = splitArg(parts[0]);
+    const filters = parts.slice(1).map(part => {
+        const [filterName, filterArg] = splitArg(part);
+        return { name: filterName, arg: filterArg };
+    });
     
-    return { success: true, message: '内置通知已输出到日志' };
+    return { name, arg, filters, source: text };
 }
 
-// 发送通知
-async function sendNotification(notification) {
-    if (!notification) {
-        log('没有通知内容需要发送', 'WARN');
-        return;
+// 解析条件: [!]表达式 [== != > >= < <= 字面量]
+function parseCondition(text) {
+    const match = /^(!?)\s*(.+?)(?:\s*(==|!=|>=|<=|>|<)\s*(.+))?$/.exec(text.trim());
+    if (!match) {
+        throw new Error(`无效的条件: ${text}`);
     }
     
-    const { title, content, weekday } = notification;
+    let literal = match[4];
+    if (literal !== undefined) {
+        literal = literal.trim().replace(/^(['"])(.*)\1$/, '$2');
+    }
+    return {
+        negate: match[1] === '!',
+        expression: parseExpression(match[2]),
+        operator: match[3],
+        literal
+    };
+}
+
+// 构建模板上下文
+function buildTemplateContext(config, today, extra = {}) {
+    const date = parseDateString(today.date);
+    const year = date.getUTCFullYear();
+    const startOfYear = Date.UTC(year, 0, 1);
+    const daysInYear = (Date.UTC(year + 1, 0, 1) - startOfYear) / 86400000;
     
-    log(`准备发送通知: ${title}`);
-    log(`内容长度: ${content.length} 字符`);
+    // ISO 8601 周数: 以本周周四所在年份计算
+    const thursday = new Date(date.getTime() + (3 - (today.weekday + 6) % 7) * 86400000);
+    const weekYearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const weekOfYear = Math.floor((thursday.getTime() - weekYearStart) / (7 * 86400000)) + 1;
+    
+    const time = getZonedParts(now());
+    const calendarConfig = config.holiday_calendar || {};
+    const holidayInfo = calendarConfig.enabled !== false ?
+        getHolidayInfo(today.date, loadHolidayCalendar(config)) : null;
+    
+    return Object.assign({
+        date: today.date,
+        year,
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        time: `${time.hour}:${time.minute}`,
+        weekday: getWeekdayName(today.weekday),
+        weekday_index: today.weekday,
+        week_of_year: weekOfYear,
+        day_of_year: (date.getTime() - startOfYear) / 86400000 + 1,
+        days_in_year: daysInYear,
+        days_until_weekend: today.weekday === 0 || today.weekday === 6 ? 0 : 6 - today.weekday,
+        is_weekend: today.weekday === 0 || today.weekday === 6,
+        is_workday: isWorkday(today.date, config),
+        is_holiday: Boolean(holidayInfo && holidayInfo.type === 'holiday'),
+        holiday: holidayInfo ? holidayInfo.name : ''
+    }, getLunarContext(today.date), extra);
+}
+
+// 构建农历相关的模板变量，农历模块不可用或日期超出支持范围时均为空
+function getLunarContext(dateStr) {
+    const context = {
+        lunar_date: '',
+        lunar_year: '',
+        lunar_zodiac: '',
+        solar_term: '',
+        next_solar_term: '',
+        days_until_solar_term: '',
+        festival: ''
+    };
+    if (!lunarCalendar) {
+        return context;
+    }
     
     try {
-        let result;
-        
-        if (sendNotify && typeof sendNotify === 'function') {
-            log('使用 sendNotify.js 发送通知');
-            result = await sendNotify(title, content);
-        } else {
-            result = await builtinNotify(title, content);
+        const lunar = lunarCalendar.solarToLunar(dateStr);
+        const nextTerm = lunarCalendar.getNextSolarTerm(dateStr);
+        context.lunar_date = lunar.monthName + lunar.dayName;
+        context.lunar_year = lunar.ganzhi;
+        context.lunar_zodiac = lunar.zodiac;
+        context.solar_term = lunarCalendar.getSolarTerm(dateStr);
+        context.festival = lunarCalendar.getLunarFestival(dateStr);
+        if (nextTerm) {
+            context.next_solar_term = nextTerm.name;
+            context.days_until_solar_term = getDaysUntil(dateStr, nextTerm.date);
         }
-        
-        log(`通知发送完成: ${JSON.stringify(result)}`);
-        return result;
-        
     } catch (error) {
-        log(`通知发送失败: ${error.message}`, 'ERROR');
-        
-        // 备用通知方式
-        log('尝试使用备用通知方式');
-        return await builtinNotify(title, content);
+        log(`农历计算失败: ${error.message}`, 'WARN');
     }
+    return context;
 }
 
-// 验证配置文件格式
-function validateConfig(config) {
-    const errors = [];
+// 计算距离目标日期的天数，MM-DD 表示下一次到来的该日期
+function getDaysUntil(fromDate, target) {
+    let targetDate = target;
+    if (isValidYearlyString(target)) {
+        targetDate = `${fromDate.slice(0, 4)}-${target}`;
+        if (!isValidDateString(targetDate) || targetDate < fromDate) {
+            // 今年已过 (或今年没有 02-29)，顺延到下一次
+            let year = Number(fromDate.slice(0, 4)) + 1;
+            while (!isValidDateString(`${year}-${target}`)) {
+                year++;
+            }
+            targetDate = `${year}-${target}`;
+        }
+    }
+    return Math.round((parseDateString(targetDate) - parseDateString(fromDate)) / 86400000);
+}
+
+// 获取模板变量的值，未知变量返回 undefined
+function resolveTemplateValue(expression, context) {
+    const { name, arg } = expression;
     
-    if (!config || typeof config !== 'object') {
-        errors.push('配置文件格式错误：必须是有效的JSON对象');
-        return errors;
+    if (name === 'days_until') {
+        return getDaysUntil(context.date, arg);
+    }
+    if (name === 'env') {
+        return process.env[arg] !== undefined ? process.env[arg] : '';
     }
+    return Object.prototype.hasOwnProperty.call(context, name) ? context[name] : undefined;
+}
+
+// 计算表达式的值 (变量 + 过滤器)
+function evaluateExpression(expression, context) {
+    let value = resolveTemplateValue(expression, context);
+    if (value === undefined) {
+        log(`模板中存在未知变量: {${expression.source}}，已输出为空`, 'WARN');
+        value = '';
+    }
+    
+    expression.filters.forEach(filter => {
+        const fn = TEMPLATE_FILTERS[filter.name];
+        if (fn) {
+            value = fn(value, filter.arg);
+        } else {
+            log(`模板中存在未知过滤器: ${filter.name}，已忽略`, 'WARN');
+        }
+    });
+    return value;
+}
+
+// 判断条件是否成立
+function evaluateCondition(condition, context) {
+    const value = evaluateExpression(condition.expression, context);
+    let result;
     
-    if (!config.notifications || typeof config.notifications !== 'object') {
-        errors.push('缺少 notifications 配置');
+    if (condition.operator) {
+        const literal = condition.literal;
+        const bothNumeric = literal !== '' && !isNaN(Number(literal)) && !isNaN(Number(value));
+        const left = bothNumeric ? Number(value) : String(value);
+        const right = bothNumeric ? Number(literal) : literal;
+        switch (condition.operator) {
+            case '==': result = left === right; break;
+            case '!=': result = left !== right; break;
+            case '>': result = left > right; break;
+            case '>=': result = left >= right; break;
+            case '<': result = left < right; break;
+            case '<=': result = left <= right; break;
+        }
     } else {
-        // 检查每天的配置
-        for (let i = 0; i <= 6; i++) {
-            const dayConfig = config.notifications[i.toString()];
-            if (dayConfig) {
-                if (!dayConfig.title || typeof dayConfig.title !== 'string') {
-                    errors.push(`第${i}天(${getWeekdayName(i)})缺少有效的 title`);
-                }
-                if (!dayConfig.content || typeof dayConfig.content !== 'string') {
-                    errors.push(`第${i}天(${getWeekdayName(i)})缺少有效的 content`);
-                }
-            }
+        result = Boolean(value) && value !== 'false' && value !== '0';
+    }
+    
+    return condition.negate ? !result : result;
+}
+
+// 渲染语法树节点
+function renderNodes(nodes, context) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.value;
+        }
+        if (node.type === 'if') {
+            const branch = evaluateCondition(node.condition, context) ? node.children : node.elseChildren;
+            return renderNodes(branch, context);
         }
+        return String(evaluateExpression(node.expression, context));
+    }).join('');
+}
+
+// 渲染模板，模板语法错误时原样输出并记录警告
+function renderTemplate(template, context) {
+    try {
+        return renderNodes(parseTemplate(template), context);
+    } catch (error) {
+        log(`模板解析失败: ${error.message}，将原样输出`, 'WARN');
+        return String(template);
+    }
+}
+
+// 检查模板的语法错误、未知变量和未知过滤器，返回问题列表
+function checkTemplate(template, extraVariables = []) {
+    const issues = [];
+    let nodes;
+    
+    try {
+        nodes = parseTemplate(template);
+    } catch (error) {
+        return [error.message];
     }
     
-    return errors;
+    const checkExpression = expression => {
+        const known = TEMPLATE_VARIABLES.includes(expression.name) || extraVariables.includes(expression.name);
+        if (TEMPLATE_PARAM_VARIABLES.includes(expression.name)) {
+            if (!expression.arg) {
+                issues.push(`{${expression.source}} 缺少参数`);
+            } else if (expression.name === 'days_until' &&
+                       !isValidDateString(expression.arg) && !isValidYearlyString(expression.arg)) {
+                issues.push(`{${expression.source}} 的日期格式错误，应为 YYYY-MM-DD 或 MM-DD`);
+            }
+        } else if (!known) {
+            issues.push(`未知占位符 {${expression.source}}`);
+        }
+        expression.filters.forEach(filter => {
+            if (!TEMPLATE_FILTERS[filter.name]) {
+                issues.push(`{${expression.source}} 中未知的过滤器 ${filter.name}`);
+            }
+        });
+    };
+    
+    const walk = list => list.forEach(node => {
+        if (node.type === 'var') {
+            checkExpression(node.expression);
+        } else if (node.type === 'if') {
+            checkExpression(node.condition.expression);
+            walk(node.children);
+            walk(node.elseChildren);
+        }
+    });
+    walk(nodes);
+    
+    return issues;
 }
 
-// 主函数
-async function main() {
-    log('='.repeat(50));
-    log('青龙面板 - 7天循环通知脚本开始执行');
-    log('='.repeat(50));
+// 已加载的节假日日历缓存 (按配置对象缓存，避免重复读取文件)
+const holidayCalendarCache = new WeakMap();
+
+// 加载节假日日历 (内置数据，可由配置文件补充或覆盖指定年份)
+function loadHolidayCalendar(config) {
+    if (holidayCalendarCache.has(config)) {
+        return holidayCalendarCache.get(config);
+    }
     
-    // 检查环境变量是否启用通知
-    const notifyEnabled = process.env.WEEKLY_NOTIFY_ENABLED;
-    if (notifyEnabled !== 'true') {
-        log(`通知功能未启用，WEEKLY_NOTIFY_ENABLED=${notifyEnabled || '未设置'}`, 'WARN');
-        log('请设置环境变量 WEEKLY_NOTIFY_ENABLED=true 来启用通知功能', 'INFO');
-        return;
+    const calendarConfig = config.holiday_calendar || {};
+    const calendar = Object.assign({}, BUILTIN_HOLIDAYS);
+    
+    if (calendarConfig.file) {
+        const calendarPath = path.resolve(calendarConfig.file);
+        try {
+            Object.assign(calendar, JSON.parse(fs.readFileSync(calendarPath, 'utf8')));
+        } catch (error) {
+            log(`读取节假日日历文件失败: ${calendarPath}, ${error.message}`, 'WARN');
+        }
     }
     
-    try {
-        // 加载配置
-        log('正在加载通知配置...');
-        const config = loadConfig();
+    if (calendarConfig.data && typeof calendarConfig.data === 'object') {
+        Object.assign(calendar, calendarConfig.data);
+    }
+    
+    holidayCalendarCache.set(config, calendar);
+    return calendar;
+}
+
+// 查询日期在节假日日历中的类型，返回 { type: 'holiday' | 'workday', name } 或 null
+function getHolidayInfo(dateStr, calendar) {
+    // 假期可能跨年 (如元旦)，因此遍历所有年份的数据
+    for (const year of Object.keys(calendar)) {
+        const yearData = calendar[year] || {};
         
-        // 验证配置
-        const configErrors = validateConfig(config);
-        if (configErrors.length > 0) {
-            log('配置验证失败:', 'ERROR');
-            configErrors.forEach(error => log(`  - ${error}`, 'ERROR'));
-            log('将使用默认配置继续执行', 'WARN');
+        const workday = (yearData.workdays || []).find(item => item.date === dateStr);
+        if (workday) {
+            return { type: 'workday', name: workday.name || '调休' };
         }
         
-        // 获取今日通知
-        const notification = getTodayNotification(config);
-        
-        if (!notification) {
-            log('今日无需发送通知');
-            return;
+        const holiday = (yearData.holidays || []).find(item => {
+            return item.from <= dateStr && dateStr <= (item.to || item.from);
+        });
+        if (holiday) {
+            return { type: 'holiday', name: holiday.name || '节假日' };
+        }
+    }
+    
+    return null;
+}
+
+// 查找匹配日期的覆盖配置 (精确日期 > 日期范围 > 每年重复)
+function findDateOverride(config, dateStr) {
+    const overrides = Array.isArray(config.overrides) ? config.overrides : [];
+    
+    const exact = overrides.find(item => item && item.date === dateStr);
+    if (exact) {
+        return { entry: exact, rule: `日期覆盖 ${dateStr}`, key: `overrides.${dateStr}` };
+    }
+    
+    const range = overrides.find(item => {
+        return item && item.from && item.to && item.from <= dateStr && dateStr <= item.to;
+    });
+    if (range) {
+        return {
+            entry: range,
+            rule: `日期范围覆盖 ${range.from} ~ ${range.to}`,
+            key: `overrides.${range.from}~${range.to}`
+        };
+    }
+    
+    const yearly = overrides.find(item => item && item.yearly === dateStr.slice(5));
+    if (yearly) {
+        return { entry: yearly, rule: `每年重复覆盖 ${yearly.yearly}`, key: `overrides.${yearly.yearly}` };
+    }
+    
+    return null;
+}
+
+// 将 YYYY-MM-DD 转换为 UTC 零点的 Date 对象 (仅用于日期计算)
+function parseDateString(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+// 将 UTC 零点的 Date 对象格式化为 YYYY-MM-DD
+function formatDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// 日期加减天数
+function addDays(dateStr, days) {
+    const date = parseDateString(dateStr);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDateString(date);
+}
+
+// 获取某月的天数
+function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// 判断某天是否为工作日 (考虑法定节假日和调休上班日)
+function isWorkday(dateStr, config) {
+    const calendarConfig = config.holiday_calendar || {};
+    if (calendarConfig.enabled !== false) {
+        const holidayInfo = getHolidayInfo(dateStr, loadHolidayCalendar(config));
+        if (holidayInfo) {
+            return holidayInfo.type === 'workday';
+        }
+    }
+    const weekday = parseDateString(dateStr).getUTCDay();
+    return weekday >= 1 && weekday <= 5;
+}
+
+// 解析 notifications 中的调度规则键，无法识别时返回 null
+// 支持的格式:
+//   0 ~ 6                  每周的星期几 (0=周日)
+//   every:N:W@YYYY-MM-DD   从锚点日期所在周起每 N 周的星期 W
+//   nth:K:W                每月第 K 个星期 W (K=-1 表示最后一个)
+//   monthday:D             每月 D 号 (D=-1 表示月末最后一天)
+//   workday:K              每月第 K 个工作日 (K=-1 表示最后一个工作日)
+//   lunar:MM-DD            每年农历 MM 月 DD 日 (DD=last 表示该月最后一天，闰月不匹配)
+//   term:节气名            每年的该节气当天，如 term:冬至
+function parseScheduleKey(key) {
+    let match;
+    
+    if ((match = /^([0-6])$/.exec(key))) {
+        return { type: 'weekday', weekday: Number(match[1]), label: `星期配置 ${key}` };
+    }
+    
+    if ((match = /^every:(\d+):([0-6])@(\d{4}-\d{2}-\d{2})$/.exec(key))) {
+        const interval = Number(match[1]);
+        if (interval < 1 || !isValidDateString(match[3])) {
+            return null;
+        }
+        return {
+            type: 'every',
+            interval,
+            weekday: Number(match[2]),
+            anchor: match[3],
+            label: `每 ${interval} 周的${getWeekdayName(Number(match[2]))}`
+        };
+    }
+    
+    if ((match = /^nth:(-1|[1-5]):([0-6])$/.exec(key))) {
+        const nth = Number(match[1]);
+        const nthName = nth === -1 ? '最后一个' : `第 ${nth} 个`;
+        return {
+            type: 'nth',
+            nth,
+            weekday: Number(match[2]),
+            label: `每月${nthName}${getWeekdayName(Number(match[2]))}`
+        };
+    }
+    
+    if ((match = /^monthday:(-1|[1-9]|[12]\d|3[01])$/.exec(key))) {
+        const day = Number(match[1]);
+        return { type: 'monthday', day, label: day === -1 ? '每月最后一天' : `每月 ${day} 号` };
+    }
+    
+    if ((match = /^workday:(-1|[1-9]|1\d|2[0-3])$/.exec(key))) {
+        const nth = Number(match[1]);
+        return {
+            type: 'workday',
+            nth,
+            label: nth === -1 ? '每月最后一个工作日' : `每月第 ${nth} 个工作日`
+        };
+    }
+    
+    if ((match = /^lunar:(0[1-9]|1[0-2])-(0[1-9]|[12]\d|30|last)$/.exec(key))) {
+        const month = Number(match[1]);
+        const day = match[2] === 'last' ? 'last' : Number(match[2]);
+        return {
+            type: 'lunar',
+            month,
+            day,
+            label: `每年农历${month}月${day === 'last' ? '最后一天' : `${day}日`}`
+        };
+    }
+    
+    if ((match = /^term:(.+)$/.exec(key))) {
+        // 未加载农历模块时仍按名称识别，由 validateConfig 提示
+        const names = lunarCalendar ? lunarCalendar.SOLAR_TERM_NAMES : null;
+        if (names && !names.includes(match[1])) {
+            return null;
+        }
+        return { type: 'term', term: match[1], label: `每年${match[1]}` };
+    }
+    
+    return null;
+}
+
+// 判断调度规则是否匹配指定日期
+function matchesSchedule(rule, today, config) {
+    const date = parseDateString(today.date);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    const daysInMonth = getDaysInMonth(year, month);
+    
+    switch (rule.type) {
+        case 'weekday':
+            return today.weekday === rule.weekday;
+        
+        case 'every': {
+            if (today.weekday !== rule.weekday) {
+                return false;
+            }
+            // 以两个日期所在周的周一为基准计算相差的周数
+            const anchor = parseDateString(rule.anchor);
+            const anchorMonday = anchor.getTime() - ((anchor.getUTCDay() + 6) % 7) * 86400000;
+            const todayMonday = date.getTime() - ((today.weekday + 6) % 7) * 86400000;
+            const weeks = Math.round((todayMonday - anchorMonday) / (7 * 86400000));
+            return ((weeks % rule.interval) + rule.interval) % rule.interval === 0;
+        }
+        
+        case 'nth':
+            if (today.weekday !== rule.weekday) {
+                return false;
+            }
+            if (rule.nth === -1) {
+                return day + 7 > daysInMonth;
+            }
+            return Math.ceil(day / 7) === rule.nth;
+        
+        case 'monthday':
+            return rule.day === -1 ? day === daysInMonth : day === rule.day;
+        
+        case 'workday': {
+            if (!isWorkday(today.date, config)) {
+                return false;
+            }
+            // 统计本月到今天为止 (或今天之后) 的工作日数量
+            const monthPrefix = today.date.slice(0, 8);
+            let count = 0;
+            if (rule.nth === -1) {
+                for (let d = day + 1; d <= daysInMonth; d++) {
+                    if (isWorkday(`${monthPrefix}${String(d).padStart(2, '0')}`, config)) {
+                        return false;
+                    }
+                }
+                return true;
+            }
+            for (let d = 1; d <= day; d++) {
+                if (isWorkday(`${monthPrefix}${String(d).padStart(2, '0')}`, config)) {
+                    count++;
+                }
+            }
+            return count === rule.nth;
+        }
+        
+        case 'lunar': {
+            if (!lunarCalendar) {
+                return false;
+            }
+            const lunar = lunarCalendar.solarToLunar(today.date);
+            if (lunar.leap || lunar.month !== rule.month) {
+                return false;
+            }
+            return rule.day === 'last' ? lunar.day === lunar.monthDays : lunar.day === rule.day;
+        }
+        
+        case 'term':
+            return Boolean(lunarCalendar) && lunarCalendar.getSolarTerm(today.date) === rule.term;
+        
+        default:
+            return false;
+    }
+}
+
+// 按调度规则查找今日所有匹配的 notifications 配置，按 priority 从高到低排序
+// skipWeekday 为 true 时不匹配星期配置 0~6 (节假日和调休日由 holiday_calendar 代替星期配置)
+function findScheduleMatches(config, today, skipWeekday = false) {
+    const notifications = config.notifications || {};
+    const matches = [];
+    
+    Object.keys(notifications).forEach((key, index) => {
+        const rule = parseScheduleKey(key);
+        if (!rule) {
+            log(`无法识别的调度规则: ${key}，已忽略`, 'WARN');
+            return;
+        }
+        if (skipWeekday && rule.type === 'weekday') {
+            return;
+        }
+        if (matchesSchedule(rule, today, config)) {
+            const entry = notifications[key];
+            matches.push({
+                entry,
+                rule: rule.label,
+                key: `notifications.${key}`,
+                priority: Number(entry.priority) || 0,
+                index
+            });
+        }
+    });
+    
+    // 优先级相同时保持配置文件中的顺序
+    return matches.sort((a, b) => (b.priority - a.priority) || (a.index - b.index));
+}
+
+// 按优先级解析今日配置: 日期覆盖 → 节假日/调休日历 + 调度规则 → 调度规则 (含星期配置)
+// 节假日和调休日的日历内容代替星期配置，其他调度规则 (如 workday:-1、lunar:01-01) 仍然匹配，
+// 与日历内容一起按 priority 排序，由 multi_match 合并或分别发送
+function resolveTodayEntries(config, today) {
+    const override = findDateOverride(config, today.date);
+    if (override) {
+        return [override];
+    }
+    
+    const calendarConfig = config.holiday_calendar || {};
+    if (calendarConfig.enabled !== false) {
+        const holidayInfo = getHolidayInfo(today.date, loadHolidayCalendar(config));
+        if (holidayInfo) {
+            const defaults = getDefaultConfig().holiday_calendar;
+            const entry = calendarConfig[holidayInfo.type] || defaults[holidayInfo.type];
+            const typeName = holidayInfo.type === 'holiday' ? '法定节假日' : '调休上班日';
+            const holidayMatch = {
+                entry,
+                rule: `${typeName} (${holidayInfo.name})`,
+                key: `holiday_calendar.${holidayInfo.type}`,
+                priority: Number(entry.priority) || 0,
+                index: -1
+            };
+            return [holidayMatch].concat(findScheduleMatches(config, today, true))
+                .sort((a, b) => (b.priority - a.priority) || (a.index - b.index));
+        }
+    }
+    
+    return findScheduleMatches(config, today);
+}
+
+// 读取消息轮换状态
+function readState() {
+    try {
+        if (!fs.existsSync(CONFIG.STATE_FILE)) {
+            return { pools: {} };
+        }
+        const state = JSON.parse(fs.readFileSync(CONFIG.STATE_FILE, 'utf8'));
+        if (!state.pools || typeof state.pools !== 'object') {
+            state.pools = {};
+        }
+        return state;
+    } catch (error) {
+        log(`读取轮换状态失败: ${error.message}，将重新开始轮换`, 'WARN');
+        return { pools: {} };
+    }
+}
+
+// 写入消息轮换状态 (先写临时文件再重命名，避免写入中断导致文件损坏)
+function writeState(state) {
+    const tempFile = `${CONFIG.STATE_FILE}.${process.pid}.tmp`;
+    try {
+        fs.writeFileSync(tempFile, JSON.stringify(state, null, 2), 'utf8');
+        fs.renameSync(tempFile, CONFIG.STATE_FILE);
+    } catch (error) {
+        log(`写入轮换状态失败: ${error.message}`, 'ERROR');
+        try {
+            fs.unlinkSync(tempFile);
+        } catch (e) {
+            // 临时文件可能不存在
+        }
+    }
+}
+
+// 将 content 统一为变体列表 [{ id, title, content, weight }]
+function getVariants(entry) {
+    if (!Array.isArray(entry.content)) {
+        return null;
+    }
+    
+    return entry.content.map(item => {
+        const variant = typeof item === 'string' ? { content: item } : item;
+        const title = variant.title || entry.title;
+        return {
+            // 以内容计算 ID，配置中增删、调整顺序后仍能识别已使用过的变体
+            id: crypto.createHash('sha1').update(`${title}\n${variant.content}`).digest('hex').slice(0, 12),
+            title,
+            content: variant.content,
+            weight: typeof variant.weight === 'number' ? variant.weight : 1
+        };
+    });
+}
+
+// 从消息池中选择一个变体，同一轮内不重复，用完后开始新一轮
+// pick: sequential (默认，按顺序) / random (随机) / weighted (按 weight 加权随机)
+function pickVariant(entry, poolKey, state, today) {
+    const pick = entry.pick || 'sequential';
+    let variants = getVariants(entry);
+    if (!variants) {
+        return entry;
+    }
+    if (pick === 'weighted' && variants.some(variant => variant.weight > 0)) {
+        // 权重为 0 的变体不参与加权随机
+        variants = variants.filter(variant => variant.weight > 0);
+    }
+    if (variants.length === 0) {
+        return Object.assign({}, entry, { content: '' });
+    }
+    
+    const ids = variants.map(variant => variant.id);
+    const pool = state.pools[poolKey] || { used: [] };
+    
+    // 同一天重复执行时沿用当天已选的变体
+    if (pool.last_date === today.date && ids.includes(pool.last)) {
+        const variant = variants[ids.indexOf(pool.last)];
+        log(`消息池 ${poolKey}: 今日已选择变体 ${ids.indexOf(pool.last) + 1}/${variants.length}`);
+        return Object.assign({}, entry, { title: variant.title, content: variant.content });
+    }
+    
+    // 清除配置中已删除的变体
+    let used = (pool.used || []).filter(id => ids.includes(id));
+    let candidates = variants.filter(variant => !used.includes(variant.id));
+    
+    if (candidates.length === 0) {
+        // 一轮用完，重新开始，并避免新一轮第一条与上一条相同
+        used = [];
+        candidates = variants.length > 1 ? variants.filter(variant => variant.id !== pool.last) : variants;
+        log(`消息池 ${poolKey}: 所有变体已使用，开始新一轮`);
+    }
+    
+    let variant;
+    if (pick === 'random') {
+        variant = candidates[Math.floor(Math.random() * candidates.length)];
+    } else if (pick === 'weighted') {
+        const totalWeight = candidates.reduce((sum, item) => sum + item.weight, 0);
+        let point = Math.random() * totalWeight;
+        variant = candidates.find(item => (point -= item.weight) < 0) || candidates[candidates.length - 1];
+    } else {
+        variant = candidates[0];
+    }
+    
+    used.push(variant.id);
+    state.pools[poolKey] = { used, last: variant.id, last_date: today.date };
+    log(`消息池 ${poolKey}: 选择变体 ${ids.indexOf(variant.id) + 1}/${variants.length} (${pick})`);
+    
+    return Object.assign({}, entry, { title: variant.title, content: variant.content });
+}
+
+// 将多条匹配合并为一条 (标题以 + 连接，内容以分隔线连接)
+function mergeMatches(matches) {
+    if (matches.length <= 1) {
+        return matches;
+    }
+    
+    return [{
+        entry: {
+            title: matches.map(match => match.entry.title).join(' + '),
+            content: matches.map(match => match.entry.content).join('\n\n' + '-'.repeat(20) + '\n\n')
+        },
+        rule: matches.map(match => match.rule).join(' + ')
+    }];
+}
+
+// 解析事件的提前提醒天数，支持 7d 或数字 7，无效时返回 null
+function parseLeadTime(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value >= 0 ? value : null;
+    }
+    const match = /^(\d+)d$/.exec(String(value));
+    return match ? Number(match[1]) : null;
+}
+
+// 计算农历日期在 fromDate 当天或之后的下一次公历日期，该月没有 30 日时取月末
+function getNextLunarDate(lunarKey, fromDate) {
+    const [month, day] = lunarKey.split('-').map(Number);
+    const lunarYear = lunarCalendar.solarToLunar(fromDate).year;
+    for (let year = lunarYear; year <= lunarYear + 1; year++) {
+        const date = lunarCalendar.lunarToSolar(year, month, day) || lunarCalendar.lunarToSolar(year, month, 'last');
+        if (date && date >= fromDate) {
+            return date;
+        }
+    }
+    return null;
+}
+
+// 计算事件的下一次日期
+// 返回 { date, days, expired }，一次性事件已过去时 expired 为 true，无法计算时返回 null
+function getEventOccurrence(event, fromDate) {
+    let date = null;
+    if (event.date !== undefined) {
+        date = event.date;
+    } else if (event.yearly !== undefined) {
+        date = addDays(fromDate, getDaysUntil(fromDate, event.yearly));
+    } else if (event.lunar !== undefined && lunarCalendar) {
+        date = getNextLunarDate(event.lunar, fromDate);
+    }
+    if (!date) {
+        return null;
+    }
+    
+    const days = getDaysUntil(fromDate, date);
+    return { date, days, expired: days < 0 };
+}
+
+// 获取今天起 days 天内 (含今天) 的事件，按日期排序
+function getUpcomingEvents(config, today, days) {
+    const events = Array.isArray(config.events) ? config.events : [];
+    return events
+        .map(event => Object.assign({ event }, getEventOccurrence(event, today.date)))
+        .filter(item => item.date && !item.expired && item.days <= days)
+        .sort((a, b) => a.days - b.days);
+}
+
+// 生成今日的事件提醒和近期事件汇总段落 (结构化消息段落)，没有内容时返回空数组
+// events[].remind: 提前提醒的天数，如 ["7d", "1d", "0d"]，默认只在当天提醒
+// settings.upcoming_days: 大于 0 时附加未来 N 天的事件汇总
+function buildEventSections(config, today, context) {
+    const events = Array.isArray(config.events) ? config.events : [];
+    const sections = [];
+    const reminders = [];
+    
+    events.forEach(event => {
+        const occurrence = getEventOccurrence(event, today.date);
+        if (!occurrence) {
+            return;
+        }
+        // 已过期的事件不再提醒 (由 getConfigWarnings 在配置验证时提示)
+        if (occurrence.expired) {
+            return;
+        }
+        
+        const leadTimes = (Array.isArray(event.remind) ? event.remind : ['0d']).map(parseLeadTime);
+        if (!leadTimes.includes(occurrence.days)) {
+            return;
+        }
+        
+        log(`事件提醒: ${event.name} (${occurrence.days === 0 ? '今天' : `${occurrence.days} 天后`})`);
+        if (event.message) {
+            reminders.push(renderTemplate(event.message, Object.assign({}, context, {
+                name: event.name,
+                days: occurrence.days,
+                event_date: occurrence.date
+            })));
+        } else if (occurrence.days === 0) {
+            reminders.push(`📌 今天: ${event.name}`);
+        } else {
+            reminders.push(`⏳ 距离 ${event.name} 还有 ${occurrence.days} 天 (${occurrence.date})`);
+        }
+    });
+    if (reminders.length > 0) {
+        sections.push({ text: reminders.join('\n') });
+    }
+    
+    const upcomingDays = config.settings && config.settings.upcoming_days;
+    if (upcomingDays > 0) {
+        const upcoming = getUpcomingEvents(config, today, upcomingDays);
+        if (upcoming.length > 0) {
+            const lines = upcoming.map(item => {
+                const when = item.days === 0 ? '今天' : `${item.days} 天后`;
+                const weekday = getWeekdayName(parseDateString(item.date).getUTCDay());
+                return `${item.date.slice(5)} ${weekday} ${item.event.name} (${when})`;
+            });
+            sections.push({ title: `📅 未来 ${upcomingDays} 天事件`, items: lines });
+        }
+    }
+    
+    return sections;
+}
+
+// 由结构化消息生成纯文本内容；未部署 message_renderer.js 时按段落标题、文本、键值行和列表项逐行拼接 (不含状态标记)
+function renderPlainText(message) {
+    if (messageRenderer) {
+        return messageRenderer.renderText(message);
+    }
+    const blocks = (message.sections || []).map(section => {
+        return [section.title, section.text]
+            .concat((section.rows || []).map(row => `• ${row.label}: ${row.value}`))
+            .concat((section.items || []).map(item => `• ${item}`))
+            .filter(line => line !== undefined && line !== null && String(line).trim() !== '')
+            .join('\n');
+    }).filter(Boolean);
+    if (Array.isArray(message.footer) && message.footer.length > 0) {
+        blocks.push(`${'-'.repeat(20)}\n${message.footer.join('\n')}`);
+    }
+    return blocks.join('\n\n');
+}
+
+// 将日程、事件和内容提供器段落附加到第一条通知末尾，并由结构化消息生成纯文本内容
+function appendSections(notifications, sections) {
+    if (sections.length > 0 && notifications.length > 0) {
+        notifications[0].message.sections = notifications[0].message.sections.concat(sections);
+    }
+    notifications.forEach(notification => {
+        notification.content = renderPlainText(notification.message);
+    });
+    return notifications;
+}
+
+// 已加载的 ICS 日历缓存 (按 agenda 配置对象缓存，接收组沿用顶层配置时共用)
+const agendaCache = new WeakMap();
+
+// 读取 agenda.sources 中的 ICS 文件，读取失败的文件只记录警告
+function loadAgendaCalendars(agenda) {
+    if (agendaCache.has(agenda)) {
+        return agendaCache.get(agenda);
+    }
+    
+    const sources = Array.isArray(agenda.sources) ? agenda.sources : [agenda.sources];
+    const { calendars, errors } = icsCalendar.loadIcsSources(sources.filter(Boolean));
+    errors.forEach(error => log(`读取日历文件失败: ${error}`, 'WARN'));
+    calendars.forEach(calendar => {
+        calendar.warnings.forEach(warning => log(warning, 'WARN'));
+        log(`加载日历: ${calendar.name} (${calendar.events.length} 个事件)`);
+    });
+    
+    agendaCache.set(agenda, calendars);
+    return calendars;
+}
+
+// 获取今日日程，按 skip_all_day 和分类筛选
+// agenda.categories: 只保留带有其中任一分类的事件；agenda.exclude_categories: 排除带有其中任一分类的事件 (不区分大小写)
+function getAgendaItems(config, today) {
+    const agenda = config.agenda;
+    if (!agenda || !agenda.sources || agenda.sources.length === 0) {
+        return [];
+    }
+    if (!icsCalendar) {
+        log('未找到 ics_calendar.js，跳过今日日程', 'WARN');
+        return [];
+    }
+    
+    const normalize = list => (Array.isArray(list) ? list : []).map(item => String(item).toLowerCase());
+    const included = normalize(agenda.categories);
+    const excluded = normalize(agenda.exclude_categories);
+    
+    return icsCalendar.getAgenda(loadAgendaCalendars(agenda), today.date, CONFIG.TIMEZONE).filter(item => {
+        const categories = normalize(item.categories);
+        if (agenda.skip_all_day && item.allDay) {
+            return false;
+        }
+        if (included.length > 0 && !categories.some(category => included.includes(category))) {
+            return false;
+        }
+        return !categories.some(category => excluded.includes(category));
+    });
+}
+
+// 格式化单条日程，如 "09:30-10:00 周会 @ 会议室A"，跨天的一端显示为 …
+function formatAgendaItem(item) {
+    let time;
+    if (item.allDay || (item.startsBefore && item.endsAfter)) {
+        time = '全天';
+    } else {
+        const formatTime = date => {
+            const parts = getZonedParts(date);
+            return `${parts.hour}:${parts.minute}`;
+        };
+        const start = item.startsBefore ? '…' : formatTime(item.start);
+        const end = item.endsAfter ? '…' : formatTime(item.end);
+        time = item.end.getTime() === item.start.getTime() ? start : `${start}-${end}`;
+    }
+    return `${time} ${item.summary || '(无标题)'}${item.location ? ` @ ${item.location}` : ''}`;
+}
+
+// 生成今日日程段落，未配置日历或今天没有日程时返回空数组
+function buildAgendaSections(config, today) {
+    const items = getAgendaItems(config, today);
+    if (items.length === 0) {
+        return [];
+    }
+    log(`今日日程: ${items.length} 项`);
+    const title = (config.agenda && config.agenda.title) || '🗓️ 今日日程';
+    return [{ title, items: items.map(formatAgendaItem) }];
+}
+
+// 获取内容提供器的名称，用于日志
+function getProviderName(provider, index) {
+    return provider.name || (provider.module ? path.basename(provider.module) : provider.type) || `providers[${index}]`;
+}
+
+// 将提供器返回的内容转换为文本
+// 配置了 template 时按模板渲染 (返回对象的字段可作为变量，{value} 为返回值本身)；否则字符串直接使用，数组逐行输出
+function renderProviderValue(provider, value, context) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (provider.template) {
+        const fields = typeof value === 'object' && !Array.isArray(value) ? value : {};
+        return renderTemplate(provider.template, Object.assign({}, context, fields, { value }));
+    }
+    if (Array.isArray(value)) {
+        return value.map(String).join('\n');
+    }
+    if (typeof value === 'object') {
+        throw new Error('返回的是对象，请配置 template (http 提供器也可配置 field)');
+    }
+    return String(value);
+}
+
+// 运行内容提供器，按配置顺序生成附加到消息末尾的段落
+// 各提供器同时运行、独立超时，失败或超时时使用 fallback，未配置 fallback 时跳过该段落
+async function buildProviderSections(config, today, context) {
+    const providers = (Array.isArray(config.providers) ? config.providers : [])
+        .map((provider, index) => ({ provider, name: getProviderName(provider || {}, index) }))
+        .filter(item => item.provider && typeof item.provider === 'object' && item.provider.enabled !== false);
+    if (providers.length === 0) {
+        return [];
+    }
+    if (!contentProviders) {
+        log('未找到 content_providers.js，跳过内容提供器', 'WARN');
+        return [];
+    }
+    
+    const sections = await Promise.all(providers.map(async ({ provider, name }) => {
+        let text;
+        try {
+            const value = await contentProviders.runProvider(provider, context);
+            text = renderProviderValue(provider, value, context).trim();
+            if (!text) {
+                log(`内容提供器 ${name}: 今日无内容`);
+            }
+        } catch (error) {
+            log(`内容提供器 ${name} 失败: ${error.message}${provider.fallback ? '，使用备用内容' : ''}`, 'WARN');
+            text = provider.fallback ? renderTemplate(provider.fallback, context).trim() : '';
+        }
+        if (!text) {
+            return null;
+        }
+        return { title: provider.title ? renderTemplate(provider.title, context) : '', text };
+    }));
+    return sections.filter(Boolean);
+}
+
+// 获取标题前缀: 接收组配置 > 配置 (loadConfig 已合并环境变量 WEEKLY_NOTIFY_TITLE) > 默认值
+function getTitlePrefix(config) {
+    return (config.recipient && config.recipient.title_prefix) ||
+           config.title_prefix ||
+           CONFIG.DEFAULT_TITLE_PREFIX;
+}
+
+// 接收组可单独配置的字段，未配置时沿用顶层配置
+const RECIPIENT_FIELDS = ['notifications', 'overrides', 'holiday_calendar', 'events', 'agenda', 'providers'];
+
+// 解析接收组的通道变量，以 $ 开头的值从同名环境变量读取 (避免在配置文件中明文保存密钥)
+function resolveChannelEnv(channelEnv) {
+    const env = {};
+    Object.keys(channelEnv || {}).forEach(key => {
+        const value = String(channelEnv[key]);
+        env[key] = value.startsWith('$') ? (process.env[value.slice(1)] || '') : value;
+    });
+    return env;
+}
+
+// 构建单个接收组的有效配置
+function buildRecipientGroup(config, name) {
+    const group = config.recipients[name];
+    const groupConfig = Object.assign({}, config, { recipient: group });
+    delete groupConfig.recipients;
+    
+    RECIPIENT_FIELDS.forEach(field => {
+        if (group[field] !== undefined) {
+            groupConfig[field] = group[field];
+        }
+    });
+    groupConfig.settings = Object.assign({}, config.settings, group.settings);
+    
+    return {
+        name,
+        config: groupConfig,
+        channels: Array.isArray(group.channels) ? group.channels : null,
+        env: resolveChannelEnv(group.channel_env)
+    };
+}
+
+// 获取启用的接收组，未配置 recipients 时返回沿用顶层配置、发送到所有通道的默认接收组
+function getRecipientGroups(config) {
+    const recipients = config.recipients;
+    if (!recipients || typeof recipients !== 'object' || Object.keys(recipients).length === 0) {
+        return [{ name: null, config, channels: null, env: {} }];
+    }
+    
+    return Object.keys(recipients)
+        .filter(name => recipients[name] && recipients[name].enabled !== false)
+        .map(name => buildRecipientGroup(config, name));
+}
+
+// 获取接收组对应的轮换状态，各接收组独立轮换
+function getRecipientState(state, name) {
+    if (name === null) {
+        return state;
+    }
+    if (!state.recipients || typeof state.recipients !== 'object') {
+        state.recipients = {};
+    }
+    if (!state.recipients[name]) {
+        state.recipients[name] = {};
+    }
+    return { pools: state.recipients[name] };
+}
+
+// 获取今日所有通知内容 (内容提供器为异步，因此返回 Promise)
+// settings.multi_match: merge (默认，多条规则合并为一条消息) / separate (按优先级分别发送)
+// state 为消息轮换状态，选择结果会写入其中，由调用方决定是否保存
+async function getTodayNotifications(config, today = getToday(), state = { pools: {} }) {
+    const enabled = !(config.settings && config.settings.enabled === false);
+    const providerSections = enabled ? await buildProviderSections(config, today, buildTemplateContext(config, today)) : [];
+    return buildTodayNotifications(config, today, state, providerSections);
+}
+
+// 生成今日所有通知内容 (同步)，extraSections 为附加到消息末尾的段落 (如内容提供器的结果)
+function buildTodayNotifications(config, today, state, extraSections = []) {
+    const weekday = today.weekday;
+    const weekdayName = getWeekdayName(weekday);
+    
+    log(`今天是: ${today.date} ${weekdayName} (${weekday})`);
+    
+    // 检查是否启用通知
+    if (config.settings && config.settings.enabled === false) {
+        log('通知功能已禁用', 'WARN');
+        return [];
+    }
+    
+    // 标题前缀、标题和内容均支持模板变量
+    const context = buildTemplateContext(config, today);
+    const titlePrefix = renderTemplate(getTitlePrefix(config), context);
+    
+    // 按优先级查找今日配置
+    let matches = resolveTodayEntries(config, today);
+    const sections = buildAgendaSections(config, today)
+        .concat(buildEventSections(config, today, context))
+        .concat(extraSections);
+    
+    if (matches.length > 0) {
+        matches.forEach(match => log(`匹配规则: ${match.rule}`));
+        
+        // 从消息池中选择今日使用的变体
+        matches = matches.map(match => Object.assign({}, match, {
+            entry: pickVariant(match.entry, match.key, state, today)
+        }));
+        
+        const multiMatch = (config.settings && config.settings.multi_match) || 'merge';
+        if (multiMatch !== 'separate') {
+            matches = mergeMatches(matches);
+        }
+        
+        return appendSections(matches.map(match => {
+            const title = `${titlePrefix} - ${renderTemplate(match.entry.title, context)}`;
+            return {
+                title,
+                message: { title, sections: [{ text: renderTemplate(match.entry.content, context) }] },
+                weekday: weekdayName,
+                rule: match.rule
+            };
+        }), sections);
+    } else {
+        // 使用备用消息
+        log('匹配规则: 备用消息 (fallback_message)');
+        
+        const fallbackMessage = (config.settings && config.settings.fallback_message) || 
+                               `今天是 {weekday}，祝你有美好的一天！ 😊`;
+        
+        const title = `${titlePrefix} - ${weekdayName}`;
+        return appendSections([{
+            title,
+            message: { title, sections: [{ text: renderTemplate(fallbackMessage, context) }] },
+            weekday: weekdayName,
+            rule: 'fallback_message'
+        }], sections);
+    }
+}
+
+// 获取今日通知内容 (多条匹配时返回合并后的结果)
+// 同步返回，不运行内容提供器；需要内容提供器的段落时使用 getTodayNotifications
+function getTodayNotification(config, today = getToday()) {
+    const settings = Object.assign({}, config.settings, { multi_match: 'merge' });
+    const notifications = buildTodayNotifications(Object.assign({}, config, { settings }), today, { pools: {} });
+    return notifications[0] || null;
+}
+
+// 内置通知发送函数 (当 sendNotify.js 不可用时使用)
+// message 为结构化消息，Telegram、邮件、企业微信、钉钉按各自格式渲染
+async function builtinNotify(title, content, message = null) {
+    log('使用内置通知功能');
+    
+    // 有已配置的通知通道时直接发送，否则输出到日志
+    if (notifyChannels && notifyChannels.getConfiguredChannels().length > 0) {
+        const { success, results } = await notifyChannels.sendNotify(title, content, { log, message });
+        const failed = results.filter(result => !result.success).map(result => result.name);
+        return {
+            success,
+            message: failed.length > 0 ? `部分通道发送失败: ${failed.join(', ')}` : '内置通知通道发送成功',
+            results
+        };
+    }
+    
+    log(`标题: ${title}`);
+    log(`内容: ${content}`);
+    
+    return { success: true, message: '未配置通知通道，内置通知已输出到日志' };
+}
+
+// 发送通知 (group.channels 指定时只通过内置通道发送到该接收组的目标)
+async function sendNotification(notification, group = null) {
+    if (!notification) {
+        log('没有通知内容需要发送', 'WARN');
+        return;
+    }
+    
+    const { title, content, message } = notification;
+    
+    log(`准备发送通知: ${title}`);
+    log(`内容长度: ${content.length} 字符`);
+    
+    if (group && group.channels) {
+        if (!notifyChannels) {
+            throw new Error('未找到 notify_channels.js，无法按接收组发送');
+        }
+        log(`使用内置通知通道发送: ${group.channels.join(', ')}`);
+        const result = await notifyChannels.sendNotify(title, content, {
+            channels: group.channels,
+            env: group.env,
+            log,
+            message
+        });
+        if (!result.success) {
+            throw new Error('所有通知通道均发送失败');
+        }
+        log(`通知发送完成: ${JSON.stringify(result)}`);
+        return result;
+    }
+    
+    try {
+        let result;
+        
+        if (sendNotify && typeof sendNotify === 'function') {
+            log('使用 sendNotify.js 发送通知');
+            result = await sendNotify(title, content);
+        } else {
+            result = await builtinNotify(title, content, message);
+        }
+        
+        log(`通知发送完成: ${JSON.stringify(result)}`);
+        return result;
+        
+    } catch (error) {
+        log(`通知发送失败: ${error.message}`, 'ERROR');
+        
+        // 备用通知方式
+        log('尝试使用备用通知方式');
+        return await builtinNotify(title, content, message);
+    }
+}
+
+// 收集配置中所有支持模板变量的文本
+function collectTemplates(config) {
+    const templates = [];
+    const addEntry = (label, entry) => {
+        if (entry && typeof entry === 'object') {
+            templates.push({ label: `${label}.title`, template: entry.title });
+            if (Array.isArray(entry.content)) {
+                entry.content.forEach((variant, index) => {
+                    const item = variant && typeof variant === 'object' ? variant : { content: variant };
+                    templates.push({ label: `${label}.content[${index}].title`, template: item.title });
+                    templates.push({ label: `${label}.content[${index}]`, template: item.content });
+                });
+            } else {
+                templates.push({ label: `${label}.content`, template: entry.content });
+            }
+        }
+    };
+    
+    templates.push({ label: 'title_prefix', template: config.title_prefix });
+    Object.keys(config.notifications || {}).forEach(key => {
+        addEntry(`notifications.${key}`, config.notifications[key]);
+    });
+    if (Array.isArray(config.overrides)) {
+        config.overrides.forEach((item, index) => addEntry(`overrides[${index}]`, item));
+    }
+    if (config.holiday_calendar && typeof config.holiday_calendar === 'object') {
+        addEntry('holiday_calendar.holiday', config.holiday_calendar.holiday);
+        addEntry('holiday_calendar.workday', config.holiday_calendar.workday);
+    }
+    if (Array.isArray(config.providers)) {
+        config.providers.forEach((provider, index) => {
+            if (provider && typeof provider === 'object') {
+                templates.push({ label: `providers[${index}].title`, template: provider.title });
+                templates.push({ label: `providers[${index}].fallback`, template: provider.fallback });
+            }
+        });
+    }
+    if (config.settings) {
+        templates.push({ label: 'settings.fallback_message', template: config.settings.fallback_message });
+    }
+    
+    return templates;
+}
+
+// 读取配置的 JSON Schema (缓存)，文件或 config_loader.js 缺失时只做语义检查
+let configSchema;
+function loadConfigSchema() {
+    if (configSchema === undefined && !configLoader) {
+        log('未找到 config_loader.js，将跳过结构检查', 'WARN');
+        configSchema = null;
+    }
+    if (configSchema === undefined) {
+        try {
+            configSchema = configLoader.loadSchema(CONFIG.SCHEMA_FILE);
+        } catch (error) {
+            log(`读取 JSON Schema 失败: ${CONFIG.SCHEMA_FILE}, ${error.message}，将跳过结构检查`, 'WARN');
+            configSchema = null;
+        }
+    }
+    return configSchema;
+}
+
+// 检查日期值是否真实存在 (格式错误由 JSON Schema 报告)
+function checkDateValue(issues, issuePath, value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isValidDateString(value)) {
+        issues.push({ path: issuePath, message: `不是有效的日期: ${value}` });
+    }
+}
+
+// 检查 JSON Schema 无法表达的语义: 调度规则、日期有效性、时区、通知通道、模板等
+// prefix 为配置路径前缀 (接收组为 recipients.<名称>.)
+function checkConfigSemantics(config, prefix, issues) {
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const add = (issuePath, message) => issues.push({ path: prefix + issuePath, message });
+    
+    // 检查调度规则键
+    if (isObject(config.notifications)) {
+        Object.keys(config.notifications).forEach(key => {
+            const rule = parseScheduleKey(key);
+            if (!rule) {
+                add(`notifications.${key}`, '无法识别的调度规则');
+            } else if ((rule.type === 'lunar' || rule.type === 'term') && !lunarCalendar) {
+                add(`notifications.${key}`, '该调度规则需要 lunar_calendar.js，请将其放在脚本同一目录');
+            }
+        });
+    }
+    
+    const settings = isObject(config.settings) ? config.settings : {};
+    if (typeof settings.timezone === 'string' && !isValidTimezone(settings.timezone)) {
+        add('settings.timezone', `不是有效的时区: ${settings.timezone}`);
+    }
+    
+    // 检查日期覆盖: date、from/to、yearly 三选一
+    if (Array.isArray(config.overrides)) {
+        config.overrides.forEach((item, index) => {
+            const label = `overrides[${index}]`;
+            if (!isObject(item)) {
+                return;
+            }
+            const hasRange = item.from !== undefined || item.to !== undefined;
+            const kinds = [item.date !== undefined, hasRange, item.yearly !== undefined].filter(Boolean).length;
+            if (kinds !== 1) {
+                add(label, '必须且只能配置 date、from/to、yearly 其中之一');
+            } else if (hasRange && (item.from === undefined || item.to === undefined)) {
+                add(label, 'from 和 to 需要同时配置');
+            } else if (hasRange && isValidDateString(item.from) && isValidDateString(item.to) && item.from > item.to) {
+                add(`${label}.from`, '不能晚于 to');
+            }
+            ['date', 'from', 'to'].forEach(field => checkDateValue(issues, `${prefix}${label}.${field}`, item[field]));
+            if (typeof item.yearly === 'string' && /^\d{2}-\d{2}$/.test(item.yearly) && !isValidYearlyString(item.yearly)) {
+                add(`${label}.yearly`, `不是有效的日期: ${item.yearly}`);
+            }
+        });
+    }
+    
+    // 检查事件: date、yearly、lunar 三选一
+    if (Array.isArray(config.events)) {
+        config.events.forEach((event, index) => {
+            const label = `events[${index}]`;
+            if (!isObject(event)) {
+                return;
+            }
+            const kinds = ['date', 'yearly', 'lunar'].filter(field => event[field] !== undefined);
+            if (kinds.length !== 1) {
+                add(label, '必须且只能配置 date、yearly、lunar 其中之一');
+            }
+            checkDateValue(issues, `${prefix}${label}.date`, event.date);
+            if (typeof event.yearly === 'string' && /^\d{2}-\d{2}$/.test(event.yearly) && !isValidYearlyString(event.yearly)) {
+                add(`${label}.yearly`, `不是有效的日期: ${event.yearly}`);
+            }
+            if (event.lunar !== undefined && !lunarCalendar) {
+                add(`${label}.lunar`, '使用农历日期需要 lunar_calendar.js，请将其放在脚本同一目录');
+            }
+            if (typeof event.message === 'string') {
+                checkTemplate(event.message, ['name', 'days', 'event_date']).forEach(issue => {
+                    add(`${label}.message`, `模板错误: ${issue}`);
+                });
+            }
+        });
+    }
+    
+    // 检查节假日数据中的日期
+    const calendarData = isObject(config.holiday_calendar) && isObject(config.holiday_calendar.data) ?
+        config.holiday_calendar.data : {};
+    Object.keys(calendarData).forEach(year => {
+        const yearData = isObject(calendarData[year]) ? calendarData[year] : {};
+        const dataPath = `${prefix}holiday_calendar.data.${year}`;
+        (Array.isArray(yearData.holidays) ? yearData.holidays : []).forEach((item, index) => {
+            checkDateValue(issues, `${dataPath}.holidays[${index}].from`, item && item.from);
+            checkDateValue(issues, `${dataPath}.holidays[${index}].to`, item && item.to);
+        });
+        (Array.isArray(yearData.workdays) ? yearData.workdays : []).forEach((item, index) => {
+            checkDateValue(issues, `${dataPath}.workdays[${index}].date`, item && item.date);
+        });
+    });
+    
+    // 检查日历文件: ICS 模块及文件路径
+    if (isObject(config.agenda) && config.agenda.sources) {
+        const sources = Array.isArray(config.agenda.sources) ? config.agenda.sources : [config.agenda.sources];
+        if (sources.length > 0 && !icsCalendar) {
+            add('agenda.sources', '读取日历需要 ics_calendar.js，请将其放在脚本同一目录');
+        }
+        sources.forEach((source, index) => {
+            const label = Array.isArray(config.agenda.sources) ? `agenda.sources[${index}]` : 'agenda.sources';
+            if (typeof source === 'string' && source && !fs.existsSync(path.resolve(source))) {
+                add(label, `文件或目录不存在: ${source}`);
+            }
+        });
+    }
+    
+    // 检查内容提供器: type 与 module 二选一、各类型的必填参数、自定义模块路径
+    if (Array.isArray(config.providers)) {
+        const requiredFields = { file: 'path', http: 'url', command: 'command' };
+        config.providers.forEach((provider, index) => {
+            const label = `providers[${index}]`;
+            if (!isObject(provider)) {
+                return;
+            }
+            if ((provider.type === undefined) === (provider.module === undefined)) {
+                add(label, '必须且只能配置 type、module 其中之一');
+            } else if (requiredFields[provider.type] && provider[requiredFields[provider.type]] === undefined) {
+                add(label, `${provider.type} 提供器缺少 ${requiredFields[provider.type]}`);
+            }
+            if (typeof provider.module === 'string' && !fs.existsSync(path.resolve(provider.module))) {
+                add(`${label}.module`, `文件不存在: ${provider.module}`);
+            }
+            if (typeof provider.template === 'string') {
+                try {
+                    parseTemplate(provider.template);
+                } catch (error) {
+                    add(`${label}.template`, `模板错误: ${error.message}`);
+                }
+            }
+        });
+        if (config.providers.length > 0 && !contentProviders) {
+            add('providers', '使用内容提供器需要 content_providers.js，请将其放在脚本同一目录');
+        }
+    }
+    
+    // 检查接收组: 通知通道名称及接收组自身的配置 (沿用的顶层配置已检查过)
+    if (isObject(config.recipients)) {
+        Object.keys(config.recipients).forEach(name => {
+            const group = config.recipients[name];
+            if (!isObject(group)) {
+                return;
+            }
+            if (Array.isArray(group.channels) && notifyChannels) {
+                group.channels.filter(channel => !notifyChannels.CHANNELS[channel]).forEach(channel => {
+                    add(`recipients.${name}.channels`, `未知的通知通道: ${channel}`);
+                });
+            }
+            checkConfigSemantics({
+                title_prefix: group.title_prefix,
+                notifications: group.notifications,
+                overrides: group.overrides,
+                holiday_calendar: group.holiday_calendar,
+                events: group.events,
+                agenda: group.agenda,
+                providers: group.providers,
+                settings: group.settings
+            }, `${prefix}recipients.${name}.`, issues);
+        });
+    }
+    
+    // 检查模板中的语法错误和未知占位符
+    collectTemplates(config).forEach(({ label, template }) => {
+        if (typeof template === 'string') {
+            checkTemplate(template).forEach(issue => add(label, `模板错误: ${issue}`));
+        }
+    });
+}
+
+// 描述配置路径的来源位置，如 " (weekly_notify_config.yaml 第 12 行)"、" (环境变量 WEEKLY_NOTIFY_TITLE)"
+function describeConfigLocation(sources, issuePath) {
+    const envPath = Object.keys(sources.env).find(key => {
+        return issuePath === key || issuePath.startsWith(`${key}.`) || issuePath.startsWith(`${key}[`);
+    });
+    if (envPath) {
+        return ` (环境变量 ${sources.env[envPath]})`;
+    }
+    const line = sources.file && configLoader ? configLoader.findLine(sources.positions, issuePath) : null;
+    return line ? ` (${path.basename(sources.file)} 第 ${line} 行)` : '';
+}
+
+// 验证配置: 先按 JSON Schema 检查结构，再检查调度规则、日期、模板等语义
+// 返回错误信息数组，每条以配置路径开头；由 loadConfig 加载的配置会附带所在文件行号或环境变量名
+function validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['配置文件格式错误：顶层必须是对象'];
+    }
+    
+    const issues = [];
+    const schema = loadConfigSchema();
+    if (schema) {
+        configLoader.validateSchema(config, schema).forEach(issue => issues.push(issue));
+    }
+    checkConfigSemantics(config, '', issues);
+    
+    // 按所在行排序，便于对照配置文件逐条修改
+    const sources = configSources.get(config);
+    if (sources && sources.file && configLoader) {
+        const lineOf = issue => configLoader.findLine(sources.positions, issue.path) || 0;
+        issues.sort((a, b) => lineOf(a) - lineOf(b));
+    }
+    return issues.map(issue => {
+        const location = sources ? describeConfigLocation(sources, issue.path) : '';
+        return `${issue.path || '配置'}: ${issue.message}${location}`;
+    });
+}
+
+// 检查不影响验证结果的配置提醒: 已过期的一次性事件 (events[].date 早于 today)
+// 返回提醒信息数组，格式同 validateConfig
+function getConfigWarnings(config, today = getToday()) {
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const sources = configSources.get(config);
+    const warnings = [];
+    const checkEvents = (events, prefix) => {
+        (Array.isArray(events) ? events : []).forEach((event, index) => {
+            if (!isObject(event) || typeof event.date !== 'string' || !isValidDateString(event.date) || event.date >= today.date) {
+                return;
+            }
+            const issuePath = `${prefix}events[${index}]`;
+            const location = sources ? describeConfigLocation(sources, issuePath) : '';
+            warnings.push(`${issuePath}: 已过期 (${event.name} ${event.date})，可从 events 中移除${location}`);
+        });
+    };
+    
+    checkEvents(config.events, '');
+    if (isObject(config.recipients)) {
+        Object.keys(config.recipients).forEach(name => {
+            const group = config.recipients[name];
+            checkEvents(isObject(group) ? group.events : null, `recipients.${name}.`);
+        });
+    }
+    return warnings;
+}
+
+// 判断是否为严格模式 (配置验证失败时停止发送)
+function isStrictMode(config) {
+    return Boolean(config.settings && config.settings.strict === true);
+}
+
+// 命令行用法说明
+const CLI_USAGE = [
+    '用法: node weekly_notify.js [选项]',
+    '  --date YYYY-MM-DD   模拟指定日期并预览通知 (同 --dry-run，不发送)',
+    '  --range N           预览从今天 (或 --date) 起 N 天的通知，不发送',
+    '  --dry-run           只生成并输出通知内容，不发送、不保存轮换状态',
+    '  --validate          只验证配置文件，有错误时以非零状态码退出',
+    '  --help              显示本说明'
+].join('\n');
+
+// 解析命令行参数
+function parseArgs(argv) {
+    const options = { date: null, range: 0, dryRun: false, validate: false, help: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        // 同时支持 --date=2026-10-01 和 --date 2026-10-01 两种写法
+        const [name, inlineValue] = arg.split(/=(.*)/s);
+        const takeValue = () => {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new Error(`参数 ${name} 缺少值`);
+            }
+            return value;
+        };
+        
+        switch (name) {
+            case '--date':
+                options.date = takeValue();
+                if (!isValidDateString(options.date)) {
+                    throw new Error(`--date 格式错误，应为 YYYY-MM-DD: ${options.date}`);
+                }
+                break;
+            case '--range': {
+                const value = takeValue();
+                options.range = Number(value);
+                if (!/^\d+$/.test(value) || options.range < 1) {
+                    throw new Error(`--range 必须是正整数: ${value}`);
+                }
+                break;
+            }
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--validate':
+                options.validate = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`未知参数: ${arg}\n${CLI_USAGE}`);
+        }
+    }
+    
+    // 模拟日期只用于预览: 不发送通知，也不保存轮换状态，避免用模拟日期推进实际轮换
+    if (options.date) {
+        options.dryRun = true;
+    }
+    
+    return options;
+}
+
+// 输出验证结果和配置提醒，返回是否通过 (提醒不影响结果)
+function reportValidation(errors, warnings = []) {
+    if (warnings.length > 0) {
+        log(`配置提醒 (${warnings.length} 条):`, 'WARN');
+        warnings.forEach(warning => log(`  - ${warning}`, 'WARN'));
+    }
+    if (errors.length === 0) {
+        log('配置验证通过');
+        return true;
+    }
+    log(`配置验证失败 (${errors.length} 个错误):`, 'ERROR');
+    errors.forEach(error => log(`  - ${error}`, 'ERROR'));
+    return false;
+}
+
+// 输出通知预览
+function printNotification(notification, groupName) {
+    const target = groupName === null ? '' : ` [接收组 ${groupName}]`;
+    log(`[预览]${target} 匹配: ${notification.rule}`);
+    log(`标题: ${notification.title}`);
+    notification.content.split('\n').forEach(line => log(`  ${line}`));
+}
+
+// 预览从 startDay 起连续 days 天的通知 (消息轮换使用状态副本，不影响实际发送)
+async function previewNotifications(config, startDay, days) {
+    const state = JSON.parse(JSON.stringify(readState()));
+    const groups = getRecipientGroups(config);
+    if (groups.length === 0) {
+        log('没有启用的接收组 (recipients 均为 enabled: false)，无通知可预览', 'WARN');
+        return;
+    }
+    
+    for (let i = 0; i < days; i++) {
+        const date = addDays(startDay.date, i);
+        const today = { date, weekday: parseDateString(date).getUTCDay() };
+        log('-'.repeat(50));
+        
+        for (const group of groups) {
+            const notifications = await getTodayNotifications(group.config, today, getRecipientState(state, group.name));
+            if (notifications.length === 0) {
+                log(`[预览]${group.name === null ? '' : ` [接收组 ${group.name}]`} 今日无需发送通知`);
+            }
+            notifications.forEach(notification => printNotification(notification, group.name));
+        }
+    }
+}
+
+// 主函数
+// argv 为命令行参数，青龙定时任务执行时为空
+async function main(argv = process.argv.slice(2)) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        log(error.message, 'ERROR');
+        process.exitCode = 2;
+        return;
+    }
+    if (options.help) {
+        console.log(CLI_USAGE);
+        return;
+    }
+    
+    log('='.repeat(50));
+    log('青龙面板 - 7天循环通知脚本开始执行');
+    log('='.repeat(50));
+    
+    applyClockOverride();
+    
+    // 只验证配置，配置文件无法解析或有错误时设置非零退出码
+    if (options.validate) {
+        try {
+            const config = loadConfig({ strict: true });
+            applyTimezone(config);
+            if (!reportValidation(validateConfig(config), getConfigWarnings(config))) {
+                process.exitCode = 1;
+            }
+        } catch (error) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+    
+    // 预览模式不发送通知，不需要 WEEKLY_NOTIFY_ENABLED
+    const preview = options.dryRun || options.range > 0;
+    
+    // 检查环境变量是否启用通知
+    const notifyEnabled = process.env.WEEKLY_NOTIFY_ENABLED;
+    if (!preview && notifyEnabled !== 'true') {
+        log(`通知功能未启用，WEEKLY_NOTIFY_ENABLED=${notifyEnabled || '未设置'}`, 'WARN');
+        log('请设置环境变量 WEEKLY_NOTIFY_ENABLED=true 来启用通知功能', 'INFO');
+        return;
+    }
+    
+    try {
+        // 加载配置
+        log('正在加载通知配置...');
+        const config = loadConfig();
+        applyTimezone(config);
+        
+        const today = options.date ?
+            { date: options.date, weekday: parseDateString(options.date).getUTCDay() } :
+            getToday();
+        if (options.date) {
+            log(`模拟日期: ${options.date}`, 'WARN');
+        }
+        
+        // 验证配置，严格模式下验证失败时不发送
+        if (!reportValidation(validateConfig(config), getConfigWarnings(config, today))) {
+            if (isStrictMode(config)) {
+                log('严格模式: 配置验证失败，已停止发送', 'ERROR');
+                process.exitCode = 1;
+                return;
+            }
+            log('配置存在错误，将按当前配置继续执行 (设置 WEEKLY_NOTIFY_STRICT=true 可在验证失败时停止发送)', 'WARN');
+        }
+        
+        if (options.range > 0) {
+            await previewNotifications(config, today, options.range);
+            log('='.repeat(50));
+            log(`预览完成 (${options.range} 天)，未发送通知`);
+            return;
+        }
+        
+        // 按接收组获取并发送今日通知，某个接收组失败不影响其他接收组
+        const state = readState();
+        const groups = getRecipientGroups(config);
+        if (groups.length === 0) {
+            log('没有启用的接收组 (recipients 均为 enabled: false)，无需发送通知', 'WARN');
+            return;
+        }
+        const summary = [];
+        
+        for (const group of groups) {
+            const groupName = group.name === null ? '默认' : group.name;
+            if (group.name !== null) {
+                log('-'.repeat(50));
+                log(`接收组: ${groupName}`);
+            }
+            
+            try {
+                const notifications = await getTodayNotifications(group.config, today, getRecipientState(state, group.name));
+                
+                if (notifications.length === 0) {
+                    log('今日无需发送通知');
+                    summary.push({ group: groupName, status: '无需发送' });
+                    continue;
+                }
+                
+                if (options.dryRun) {
+                    notifications.forEach(notification => printNotification(notification, group.name));
+                    summary.push({ group: groupName, status: `试运行 (${notifications.length} 条，未发送)` });
+                    continue;
+                }
+                
+                // 发送通知 (separate 模式下按优先级依次发送)
+                for (const notification of notifications) {
+                    await sendNotification(notification, group);
+                }
+                summary.push({ group: groupName, status: `发送成功 (${notifications.length} 条)` });
+            } catch (error) {
+                log(`接收组 ${groupName} 发送失败: ${error.message}`, 'ERROR');
+                summary.push({ group: groupName, status: `发送失败: ${error.message}` });
+            }
+        }
+        
+        // 保存消息轮换状态 (试运行不保存，避免影响实际轮换)
+        if (!options.dryRun) {
+            writeState(state);
+        }
+        
+        if (groups.some(group => group.name !== null)) {
+            log('-'.repeat(50));
+            log('各接收组发送结果:');
+            summary.forEach(item => log(`  - ${item.group}: ${item.status}`));
         }
-        
-        // 发送通知
-        await sendNotification(notification);
         
         log('='.repeat(50));
         log('通知脚本执行完成');
@@ -316,4 +2370,19 @@ if (require.main === module) {
     });
 }
 
-module.exports = { main, loadConfig, getTodayNotification };
\ No newline at end of file
+module.exports = {
+    main,
+    setClock,
+    applyTimezone,
+    getToday,
+    loadConfig,
+    getTodayNotification,
+    getTodayNotifications,
+    getUpcomingEvents,
+    getHolidayInfo,
+    loadHolidayCalendar,
+    parseScheduleKey,
+    renderTemplate,
+    validateConfig,
+    getConfigWarnings
+};
\ No newline at end of file
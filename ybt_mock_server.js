@@ -0,0 +1,282 @@
+/**
+ * YBT 签到接口的本地模拟服务器 (离线测试 ybt_sign.js 使用)
+ *
+ * 用法:
+ * node ybt_mock_server.js [--port 18080] [--scenario 场景] [--fixtures 目录]
+ * 然后以 YBT_API_URL=http://127.0.0.1:18080/api/user/sign 执行 ybt_sign.js
+ *
+ * --scenario: 可以为所有账号指定一个场景，也可以按用户名分别指定，如 alice=timeout,bob=bad_gateway,success
+ * (不带用户名的一项为其余账号的场景，默认 success)
+ *
+ * 场景:
+ * - success: 首次请求签到成功 (含流量)，同一账号再次请求返回已签到 (默认)
+ * - signed: 已签到 (HTTP 400，不含流量)
+ * - not_found: 用户不存在
+ * - timeout: 不响应，直到客户端超时
+ * - bad_gateway: HTTP 502 网关错误 (HTML 响应)
+ * - rate_limit: HTTP 429，Retry-After: 1
+ * - flaky: 前两次请求返回 HTTP 503，之后同 success
+ * - malformed: HTTP 200，响应不是合法的 JSON
+ * - schema: HTTP 200，响应字段与现有格式不同 (模拟接口改版，ybt_sign.js 会发送"接口格式变化"通知)
+ * - replay: 依次返回 --fixtures 目录中录制的响应 (ybt_sign.js 设置 YBT_RECORD_DIR 时录制)
+ *   优先使用该账号录制的响应，没有时按顺序使用全部录制的响应，用完后从头开始
+ *
+ * 作者: CodeBuddy
+ * 功能: 模拟签到接口的各种响应，不访问真实接口即可完整运行签到流程
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 18080;
+
+// 场景说明
+const SCENARIOS = {
+    success: '首次请求签到成功，再次请求返回已签到',
+    signed: '已签到 (HTTP 400，不含流量)',
+    not_found: '用户不存在',
+    timeout: '不响应，直到客户端超时',
+    bad_gateway: 'HTTP 502 网关错误',
+    rate_limit: 'HTTP 429，Retry-After: 1',
+    flaky: '前两次请求返回 HTTP 503，之后同 success',
+    malformed: 'HTTP 200，响应不是合法的 JSON',
+    schema: 'HTTP 200，响应字段与现有格式不同',
+    replay: '返回录制的响应'
+};
+
+// 模拟的账号数据 (每个账号单独计数)
+function createAccount() {
+    return { requests: 0, signed: false, signCount: 30, totalTraffic: 10240 };
+}
+
+// JSON 响应
+function jsonResponse(status, body) {
+    return { status, headers: { 'Content-Type': 'application/json; charset=utf-8' }, body: JSON.stringify(body) };
+}
+
+// success 场景: 首次签到返回流量，之后返回已签到
+function signResponse(account) {
+    if (account.signed) {
+        return jsonResponse(400, {
+            message: '今日已签到',
+            data: { sign_status: true, message: '今日已签到', sign_count: account.signCount }
+        });
+    }
+    account.signed = true;
+    account.signCount++;
+    account.totalTraffic += 50;
+    return jsonResponse(200, {
+        message: 'success',
+        data: {
+            sign_status: true,
+            message: '签到成功，获得 50 MB 流量',
+            sign_count: account.signCount,
+            get_traffic: 50,
+            total_traffic: account.totalTraffic
+        }
+    });
+}
+
+// 各场景的响应: 返回 { status, headers, body }，{ hang: true } 表示不响应，{ destroy: true } 表示断开连接
+const HANDLERS = {
+    success: account => signResponse(account),
+    signed: account => jsonResponse(400, {
+        message: '今日已签到',
+        data: { sign_status: true, message: '今日已签到', sign_count: account.signCount }
+    }),
+    not_found: () => jsonResponse(400, { message: '用户不存在' }),
+    timeout: () => ({ hang: true }),
+    bad_gateway: () => ({
+        status: 502,
+        headers: { 'Content-Type': 'text/html' },
+        body: '<html><head><title>502 Bad Gateway</title></head><body><center><h1>502 Bad Gateway</h1></center></body></html>'
+    }),
+    rate_limit: () => Object.assign(jsonResponse(429, { message: 'Too Many Requests' }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8', 'Retry-After': '1' }
+    }),
+    flaky: account => account.requests <= 2 ?
+        jsonResponse(503, { message: 'Service Unavailable' }) :
+        signResponse(account),
+    malformed: () => ({ status: 200, headers: { 'Content-Type': 'application/json' }, body: '{"data": {"sign_status": tr' }),
+    schema: account => jsonResponse(200, {
+        code: 0,
+        result: { signed: true, reward: '50MB', days: account.signCount }
+    })
+};
+
+// 解析 --scenario 参数: "alice=timeout,bob=bad_gateway,success"，返回 { users: { 用户名: 场景 }, fallback }
+function parseScenarios(value) {
+    const result = { users: {}, fallback: 'success' };
+    String(value || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        const index = item.lastIndexOf('=');
+        const scenario = index === -1 ? item : item.slice(index + 1).trim();
+        if (!SCENARIOS[scenario]) {
+            throw new Error(`未知的场景: ${scenario}，可选 ${Object.keys(SCENARIOS).join(' / ')}`);
+        }
+        if (index === -1) {
+            result.fallback = scenario;
+        } else {
+            result.users[item.slice(0, index).trim()] = scenario;
+        }
+    });
+    return result;
+}
+
+// 读取录制的响应 (目录下的 .json 文件，按文件名排序)
+function loadFixtures(dir) {
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => {
+            const fixture = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+            if (!fixture.response && !fixture.error) {
+                throw new Error(`${name} 不是录制的响应 (缺少 response)`);
+            }
+            return fixture;
+        });
+}
+
+// 将录制的响应转换为服务器响应: 录制到超时的请求不响应，其他网络错误断开连接
+function fixtureResponse(fixture) {
+    if (fixture.error) {
+        return /TIMEDOUT|ECONNABORTED/.test(fixture.error.code || '') ? { hang: true } : { destroy: true };
+    }
+    const response = fixture.response;
+    const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+    return { status: response.status, headers: response.headers || {}, body };
+}
+
+// 从请求体中取出用户名 (表单或 JSON)
+function parseUsername(body) {
+    try {
+        const json = JSON.parse(body);
+        if (json && json.username !== undefined) {
+            return String(json.username);
+        }
+    } catch (error) {
+        // 表单格式
+    }
+    return new URLSearchParams(body).get('username') || '';
+}
+
+// 创建模拟服务器 (未开始监听)
+// options: scenario (--scenario 格式的字符串)、fixtures (录制的响应目录)、log (日志函数)
+function createMockServer(options = {}) {
+    const scenarios = parseScenarios(options.scenario);
+    const log = options.log || (message => console.log(`[${new Date().toLocaleTimeString('zh-CN')}] ${message}`));
+    const usesReplay = scenarios.fallback === 'replay' || Object.keys(scenarios.users).some(user => scenarios.users[user] === 'replay');
+    if (usesReplay && !options.fixtures) {
+        throw new Error('replay 场景需要用 --fixtures 指定录制的响应目录');
+    }
+    const fixtures = usesReplay ? loadFixtures(options.fixtures) : [];
+    if (usesReplay && fixtures.length === 0) {
+        throw new Error(`${options.fixtures} 中没有录制的响应`);
+    }
+    
+    const accounts = {};
+    const replayPositions = {};
+    const pending = new Set();
+    
+    // 依次取出该账号 (没有时为全部) 录制的响应
+    function nextFixture(username) {
+        const own = fixtures.filter(fixture => fixture.request && fixture.request.username === username);
+        const list = own.length > 0 ? own : fixtures;
+        const key = own.length > 0 ? username : '';
+        const position = replayPositions[key] || 0;
+        replayPositions[key] = position + 1;
+        return list[position % list.length];
+    }
+    
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            if (req.method !== 'POST') {
+                res.writeHead(405, { 'Content-Type': 'text/plain' });
+                res.end('Method Not Allowed');
+                return;
+            }
+            
+            const username = parseUsername(body);
+            const account = accounts[username] || (accounts[username] = createAccount());
+            account.requests++;
+            const scenario = scenarios.users[username] || scenarios.fallback;
+            const response = scenario === 'replay' ? fixtureResponse(nextFixture(username)) : HANDLERS[scenario](account);
+            
+            if (response.hang) {
+                log(`${username || '(无用户名)'} -> ${scenario}: 不响应`);
+                pending.add(res);
+                res.on('close', () => pending.delete(res));
+                return;
+            }
+            if (response.destroy) {
+                log(`${username || '(无用户名)'} -> ${scenario}: 断开连接`);
+                req.socket.destroy();
+                return;
+            }
+            log(`${username || '(无用户名)'} -> ${scenario}: HTTP ${response.status}`);
+            res.writeHead(response.status, response.headers);
+            res.end(response.body);
+        });
+    });
+    
+    // 关闭服务器时断开未响应的请求
+    server.on('close', () => pending.forEach(res => res.destroy()));
+    return server;
+}
+
+// 解析命令行参数: --port、--scenario、--fixtures (也可写作 --port=18080)
+function parseArgs(argv) {
+    const options = { port: DEFAULT_PORT, scenario: '', fixtures: null };
+    for (let i = 0; i < argv.length; i++) {
+        const [name, inlineValue] = argv[i].split(/=(.*)/s);
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (name === '--port') {
+            options.port = Number(value);
+            if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+                throw new Error(`--port 无效: ${value}`);
+            }
+        } else if (name === '--scenario') {
+            options.scenario = value;
+        } else if (name === '--fixtures') {
+            options.fixtures = path.resolve(value);
+        } else {
+            throw new Error(`未知参数: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// 启动模拟服务器
+function main() {
+    let options;
+    let server;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        server = createMockServer(options);
+    } catch (error) {
+        console.error(error.message);
+        console.error(`可用场景:\n${Object.keys(SCENARIOS).map(key => `  ${key}: ${SCENARIOS[key]}`).join('\n')}`);
+        process.exit(2);
+    }
+    
+    server.listen(options.port, '127.0.0.1', () => {
+        const url = `http://127.0.0.1:${server.address().port}/api/user/sign`;
+        console.log(`YBT 模拟接口已启动: ${url}`);
+        console.log(`场景: ${options.scenario || 'success'}`);
+        console.log(`使用方法: YBT_API_URL=${url} node ybt_sign.js`);
+    });
+    process.on('SIGINT', () => server.close(() => process.exit(0)));
+}
+
+module.exports = {
+    SCENARIOS,
+    createMockServer
+};
+
+if (require.main === module) {
+    main();
+}
@@ -7,6 +7,42 @@
  * 环境变量说明:
  * YBT_USERS: YBT用户名，多个账号用换行符或&分隔
  * 例如: user1&user2 或 user1\nuser2
+ * 用户名后可用分号附加账号选项: user1;alias=主号;proxy=socks5://127.0.0.1:1080;notify=telegram:123456,bark;enabled=false
+ * notify 为该账号单独接收签到结果的通知通道，通道名后可加 :接收目标 (Telegram 聊天 ID、Bark 设备码、收件邮箱等)
+ * YBT_ACCOUNTS: JSON 格式的账号列表或 JSON 文件路径，设置后代替 YBT_USERS (可选)
+ * 例如: [{"username": "user1", "alias": "主号", "proxy": "http://127.0.0.1:7890", "notify": ["telegram"]}, "user2"]
+ * 加签的钉钉、飞书机器人需用对象同时指定密钥，如 "notify": {"dingtalk": {"token": "...", "secret": "..."}}
+ * YBT_TIMEZONE: 判断"今天"和报告时间使用的时区 (可选，默认为 Asia/Shanghai)
+ * YBT_NOW: 模拟当前时间，用于测试 (可选，如 2026-10-01T00:01:00+08:00)
+ * YBT_HISTORY_DAYS: 签到历史保留天数 (可选，默认 90，0 表示不记录历史)
+ * YBT_REPORT: 定期发送签到报告，weekly 每周日 / monthly 每月最后一天，可用逗号同时配置 (可选)
+ * YBT_MAX_RETRY: 最大重试次数 (可选，默认 3)
+ * YBT_RETRY_DELAY: 首次重试的基础延迟毫秒数，之后每次翻倍并加随机抖动 (可选，默认 2000)
+ * YBT_RETRY_MAX_DELAY: 单次重试的最大延迟毫秒数，Retry-After 超过该值时不再重试 (可选，默认 30000)
+ * YBT_RETRY_STATUS: 可重试的 HTTP 状态码，如 429,503 或 5xx (可选，默认 408,429,5xx)
+ * YBT_BREAKER_THRESHOLD: 连续多少个账号遇到服务端错误后熔断，本次运行不再请求接口 (可选，默认 3，0 为不熔断)
+ * YBT_CONCURRENCY: 同时签到的账号数 (可选，默认 1)
+ * YBT_DELAY: 两次请求之间的随机间隔毫秒数，如 1000-3000 或固定的 1000 (可选，默认 1000)
+ * YBT_START_JITTER: 开始签到前随机等待的最长秒数，避免每天同一时刻请求 (可选，默认 0)
+ * YBT_NOTIFY_LAYOUT: 汇总报告布局，detail 每个账号一段 / compact 每个账号一行 / auto 账号数不少于 10 个时使用 compact (可选，默认 detail)
+ * YBT_NOTIFY_MAX_LENGTH: 每条通知内容的最大字符数，超过时按账号分成多条发送 (可选，青龙 sendNotify.js 默认 1500，内置通道默认按各平台上限)
+ * YBT_NOTIFY_POLICY: 通知策略 (可选，默认 always)
+ *   always 每次执行都发送 / failure 有账号签到失败时发送 / change 账号状态与上次执行不同时发送 (新失败或恢复) /
+ *   digest 每天只发送一条汇总，合并当天所有执行的结果
+ * YBT_DIGEST_TIME: 每日汇总的发送时间，之后的第一次执行发送当天汇总 (可选，默认 21:00)
+ * YBT_QUIET_HOURS: 免打扰时段，如 23:00-07:00，期间的通知暂存到之后的第一次执行再合并发送 (可选)
+ * YBT_DATA_DIR: 缓存、签到历史和运行状态的保存目录，建议设为 /ql/data/ybt 避免更新订阅时被清除 (可选，默认为脚本所在目录)
+ * YBT_STORAGE: 存储方式，json 每类数据一个 JSON 文件 / sqlite 保存到 ybt_sign.db (可选，默认 json)
+ * YBT_AUTO_DISABLE_DAYS: 账号连续多少天返回"用户不存在"后自动停用，之后的执行跳过该账号 (可选，默认 7，0 为不自动停用)
+ * YBT_API_URL: 签到接口地址，离线测试时设为 ybt_mock_server.js 的地址 (可选)
+ * YBT_TIMEOUT: 签到请求的超时毫秒数 (可选，默认 12000)
+ * YBT_RECORD_DIR: 将每次签到请求和接口响应录制为 JSON 文件保存到该目录，供 ybt_mock_server.js 的 replay 场景回放 (可选)
+ *   注意: 录制的文件名和内容包含账号用户名及完整的响应内容，未做脱敏
+ * 
+ * 命令行参数:
+ * --report weekly|monthly: 不签到，只根据历史记录发送最近 7 天 / 本月的签到报告
+ * --flush: 不签到，只发送免打扰时段暂存的通知和到时间的每日汇总 (可在免打扰结束时间或汇总时间单独定时执行)
+ * --enable user1,user2: 不签到，重新启用自动停用的账号 (all 表示全部)
  * 
  * 定时任务建议: 1 0 * * * (每天凌晨0点01分执行)
  * 
@@ -18,101 +54,328 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
-const { sendNotify } = require('./sendNotify.js');
+
+// 消息渲染模块 (结构化消息转换为纯文本、Markdown、HTML)，缺失时通知使用纯文本格式
+let messageRenderer;
+try {
+    messageRenderer = require('./message_renderer.js');
+} catch (error) {
+    messageRenderer = null;
+}
+
+// 数据存储模块 (缓存、签到历史、运行状态的原子写入和加锁更新)
+const dataStore = require('./data_store.js');
+
+// 配置校验模块 (按 JSON Schema 识别签到接口的响应格式)
+const configLoader = require('./config_loader.js');
+
+// 内置通知通道 (账号选项 notify 指定单独的通知通道时使用)
+let notifyChannels = null;
+try {
+    notifyChannels = require('./notify_channels.js');
+} catch (error) {
+    notifyChannels = null;
+}
+
+// 引入通知模块，sendNotify.js 不存在时 (非青龙环境) 使用内置通知通道
+// 内置通知通道可接收结构化消息，按各平台的格式发送
+let sendNotify;
+let useBuiltinNotify = false;
+try {
+    sendNotify = require('./sendNotify.js').sendNotify;
+} catch (error) {
+    console.log('未找到 sendNotify.js，将使用内置通知通道 (notify_channels.js)');
+    sendNotify = require('./notify_channels.js').sendNotify;
+    useBuiltinNotify = true;
+}
 
 // 配置信息
 const CONFIG = {
-    API_URL: 'https://api-v2.ybt.one/api/user/sign',
-    TIMEOUT: 12000, // 12秒超时
-    MAX_RETRY: 3,   // 最大重试次数
-    RETRY_DELAY: 2000, // 重试延迟(毫秒)
+    API_URL: process.env.YBT_API_URL || 'https://api-v2.ybt.one/api/user/sign', // 签到接口地址，可改为本地模拟接口
+    TIMEOUT: envNumber('YBT_TIMEOUT', 12000), // 请求超时(毫秒)
+    RECORD_DIR: process.env.YBT_RECORD_DIR ? path.resolve(process.env.YBT_RECORD_DIR) : '', // 录制接口响应的目录
+    MAX_RETRY: envNumber('YBT_MAX_RETRY', 3),   // 最大重试次数
+    RETRY_DELAY: envNumber('YBT_RETRY_DELAY', 2000), // 首次重试的基础延迟(毫秒)，之后每次翻倍
+    RETRY_MAX_DELAY: envNumber('YBT_RETRY_MAX_DELAY', 30000), // 单次重试的最大延迟(毫秒)
+    RETRY_STATUS: process.env.YBT_RETRY_STATUS || '408,429,5xx', // 可重试的 HTTP 状态码，5xx 表示整类
+    BREAKER_THRESHOLD: envNumber('YBT_BREAKER_THRESHOLD', 3), // 连续多少个账号遇到服务端错误后熔断，0 为不熔断
+    CONCURRENCY: Math.max(1, Math.floor(envNumber('YBT_CONCURRENCY', 1))), // 同时签到的账号数
+    DELAY: process.env.YBT_DELAY || '1000', // 两次请求之间的间隔(毫秒)，min-max 表示随机范围
+    START_JITTER: envNumber('YBT_START_JITTER', 0), // 开始前随机等待的最长时间(秒)
+    NOTIFY_LAYOUT: (process.env.YBT_NOTIFY_LAYOUT || 'detail').toLowerCase(), // 汇总报告布局: detail / compact / auto
+    NOTIFY_MAX_LENGTH: envNumber('YBT_NOTIFY_MAX_LENGTH', 0), // 每条通知内容的最大字符数，0 表示使用默认值
+    NOTIFY_POLICY: (process.env.YBT_NOTIFY_POLICY || 'always').toLowerCase(), // 通知策略: always / failure / change / digest
+    DIGEST_TIME: process.env.YBT_DIGEST_TIME || '21:00', // 每日汇总的发送时间
+    QUIET_HOURS: process.env.YBT_QUIET_HOURS || '', // 免打扰时段，如 23:00-07:00
+    AUTO_DISABLE_DAYS: envNumber('YBT_AUTO_DISABLE_DAYS', 7), // 连续多少天返回"用户不存在"后自动停用，0 为不自动停用
     USER_AGENT: 'Mozilla/5.0 (ScriptCat Smart) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36',
-    CACHE_FILE: path.join(__dirname, 'ybt_sign_cache.json') // 缓存文件路径
+    DATA_DIR: path.resolve(process.env.YBT_DATA_DIR || __dirname), // 缓存、签到历史和运行状态的保存目录
+    STORAGE: (process.env.YBT_STORAGE || 'json').toLowerCase(), // 存储方式: json / sqlite
+    HISTORY_DAYS: process.env.YBT_HISTORY_DAYS === undefined ? 90 : Number(process.env.YBT_HISTORY_DAYS), // 历史保留天数
+    // 日期判断及报告时间使用的时区，无效时回退到 Asia/Shanghai (日志时间也使用该时区，必须在输出日志前确定)
+    TIMEZONE: isValidTimezone(process.env.YBT_TIMEZONE) ? process.env.YBT_TIMEZONE : 'Asia/Shanghai'
 };
 
+// 熔断器状态: 连续遇到服务端错误的账号数，达到阈值后本次运行不再请求接口
+const breaker = { failures: 0, open: false };
+
+// 可重试的网络错误代码
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+// 时钟函数，测试时可通过 setClock 或 YBT_NOW 替换
+let clock = () => new Date();
+
 // 日志输出函数
 function log(message, level = 'INFO') {
-    const timestamp = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+    const timestamp = now().toLocaleString('zh-CN', { timeZone: CONFIG.TIMEZONE });
     console.log(`[${timestamp}] [${level}] ${message}`);
 }
 
+// 获取当前时间
+function now() {
+    return clock();
+}
+
+// 替换时钟函数 (传入返回 Date 的函数，不传则恢复系统时钟)
+function setClock(fn) {
+    clock = typeof fn === 'function' ? fn : () => new Date();
+}
+
+// 检查时区名称是否有效 (未设置视为无效)
+function isValidTimezone(timeZone) {
+    if (!timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 提示无效的时区配置 (生成 CONFIG 时已回退到 Asia/Shanghai)
+function checkTimezone() {
+    const configured = process.env.YBT_TIMEZONE;
+    if (configured && configured !== CONFIG.TIMEZONE) {
+        log(`无效的时区: ${configured}，将使用 ${CONFIG.TIMEZONE}`, 'WARN');
+    }
+}
+
+// 读取数值型环境变量，未设置或不是非负数时使用默认值 (无效值由 checkRequestConfig 提示)
+function envNumber(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// 检查重试、熔断和并发配置，提示无效的环境变量并输出当前重试策略
+function checkRequestConfig() {
+    ['YBT_MAX_RETRY', 'YBT_RETRY_DELAY', 'YBT_RETRY_MAX_DELAY', 'YBT_BREAKER_THRESHOLD',
+        'YBT_CONCURRENCY', 'YBT_START_JITTER', 'YBT_NOTIFY_MAX_LENGTH', 'YBT_AUTO_DISABLE_DAYS'].forEach(name => {
+        const value = process.env[name];
+        if (value !== undefined && value !== '' && !(Number(value) >= 0)) {
+            log(`${name} 应为非负数: ${value}，将使用默认值`, 'WARN');
+        }
+    });
+    CONFIG.RETRY_STATUS.split(/[,，\s]+/).filter(Boolean).forEach(item => {
+        if (!/^\d{3}$|^[1-5]xx$/i.test(item)) {
+            log(`YBT_RETRY_STATUS 中的无效状态码: ${item}，应为 503 或 5xx 格式`, 'WARN');
+        }
+    });
+    log(`重试策略: 最多 ${CONFIG.MAX_RETRY} 次，基础延迟 ${CONFIG.RETRY_DELAY}ms，最大延迟 ${CONFIG.RETRY_MAX_DELAY}ms，` +
+        `可重试状态码 ${CONFIG.RETRY_STATUS}，${CONFIG.BREAKER_THRESHOLD > 0 ? `连续 ${CONFIG.BREAKER_THRESHOLD} 个账号出错后熔断` : '不熔断'}`);
+}
+
+// 根据 YBT_NOW 环境变量固定当前时间
+function applyClockOverride() {
+    const fakeNow = process.env.YBT_NOW;
+    if (!fakeNow) {
+        return;
+    }
+    
+    const fixed = new Date(fakeNow);
+    if (isNaN(fixed.getTime())) {
+        log(`YBT_NOW 格式无效: ${fakeNow}，将使用系统时间`, 'WARN');
+        return;
+    }
+    setClock(() => new Date(fixed.getTime()));
+    log(`使用模拟时间: ${fixed.toISOString()}`, 'WARN');
+}
+
+// 由结构化消息生成纯文本内容；未部署 message_renderer.js 时按段落标题、文本、键值行和列表项逐行拼接 (不含状态标记)
+function renderPlainText(message) {
+    if (messageRenderer) {
+        return messageRenderer.renderText(message);
+    }
+    const blocks = (message.sections || []).map(section => {
+        return [section.title, section.text]
+            .concat((section.rows || []).map(row => `• ${row.label}: ${row.value}`))
+            .concat((section.items || []).map(item => `• ${item}`))
+            .filter(line => line !== undefined && line !== null && String(line).trim() !== '')
+            .join('\n');
+    }).filter(Boolean);
+    if (Array.isArray(message.footer) && message.footer.length > 0) {
+        blocks.push(`${'-'.repeat(20)}\n${message.footer.join('\n')}`);
+    }
+    return blocks.join('\n\n');
+}
+
+// 格式化报告中显示的时间
+function formatTimestamp(date = now()) {
+    return date.toLocaleString('zh-CN', { timeZone: CONFIG.TIMEZONE });
+}
+
 // 延迟函数
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// 获取今天的日期字符串 (YYYY-MM-DD) - 修复时区问题
+// 解析间隔范围: "1000-3000" 或 "1000"，返回 { min, max } (毫秒)，格式无效时返回 null
+function parseDelayRange(value) {
+    const match = String(value).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+        return null;
+    }
+    const min = Number(match[1]);
+    const max = match[2] === undefined ? min : Number(match[2]);
+    return max >= min ? { min, max } : null;
+}
+
+// 在 [min, max] 范围内取随机整数
+function randomBetween(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+// 以有限并发处理列表: 最多 concurrency 个任务同时运行，结果按原顺序返回
+async function runPool(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        runners.push((async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index], index);
+            }
+        })());
+    }
+    await Promise.all(runners);
+    return results;
+}
+
+// 获取今天的日期字符串 (YYYY-MM-DD)
+// 按 CONFIG.TIMEZONE 计算，不依赖容器本地时区 (青龙镜像常为 UTC)
 function getTodayString() {
-    const today = new Date();
-    // 使用本地时区（北京时间）获取日期
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: CONFIG.TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(now()).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return `${parts.year}-${parts.month}-${parts.day}`;
 }
 
-// 读取缓存数据
-function readCache() {
-    try {
-        if (!fs.existsSync(CONFIG.CACHE_FILE)) {
-            return {};
+// 获取按 CONFIG.TIMEZONE 计算的时刻字符串 (HH:MM)
+function getLocalTime(date = now()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: CONFIG.TIMEZONE,
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    // 部分 Node 版本在 hour12: false 时以 24 表示午夜
+    return `${parts.hour === '24' ? '00' : parts.hour}:${parts.minute}`;
+}
+
+// 数据存储，首次使用时创建
+let store = null;
+
+// 获取数据存储 (YBT_STORAGE / YBT_DATA_DIR)，SQLite 不可用时回退到 JSON 文件
+// 数据目录中没有的数据从脚本目录读取，设置 YBT_DATA_DIR 或改用 SQLite 后原有数据会自动迁移
+function getStore() {
+    if (!store) {
+        const options = { backend: CONFIG.STORAGE, dir: CONFIG.DATA_DIR, prefix: 'ybt_sign', legacyDir: __dirname, log };
+        try {
+            store = dataStore.createStore(options);
+        } catch (error) {
+            log(`创建 ${CONFIG.STORAGE} 存储失败: ${error.message}，将使用 JSON 文件`, 'ERROR');
+            store = dataStore.createStore(Object.assign(options, { backend: 'json' }));
         }
-        
-        const cacheContent = fs.readFileSync(CONFIG.CACHE_FILE, 'utf8');
-        const cache = JSON.parse(cacheContent);
-        
-        // 清理过期缓存 (保留今天的数据)
-        const today = getTodayString();
-        const cleanedCache = {};
-        
-        Object.keys(cache).forEach(username => {
-            if (cache[username] && cache[username].date === today) {
-                cleanedCache[username] = cache[username];
-            }
-        });
-        
-        // 如果缓存被清理了，更新文件
-        if (Object.keys(cleanedCache).length !== Object.keys(cache).length) {
-            writeCache(cleanedCache);
-            log(`清理了 ${Object.keys(cache).length - Object.keys(cleanedCache).length} 个过期缓存条目`);
+    }
+    return store;
+}
+
+// 只保留今天的缓存条目
+function filterTodayCache(cache) {
+    const today = getTodayString();
+    const todayCache = {};
+    Object.keys(cache || {}).forEach(username => {
+        if (cache[username] && cache[username].date === today) {
+            todayCache[username] = cache[username];
         }
-        
-        return cleanedCache;
+    });
+    return todayCache;
+}
+
+// 读取今天的缓存数据 (只读，过期条目由 cleanCache 清理)
+function readCache() {
+    try {
+        return filterTodayCache(getStore().read('cache'));
     } catch (error) {
         log(`读取缓存失败: ${error.message}`, 'WARN');
         return {};
     }
 }
 
-// 写入缓存数据
-function writeCache(cache) {
+// 清理过期缓存 (保留今天的数据)
+function cleanCache() {
     try {
-        fs.writeFileSync(CONFIG.CACHE_FILE, JSON.stringify(cache, null, 2), 'utf8');
+        let removed = 0;
+        getStore().update('cache', cache => {
+            if (!cache) {
+                return undefined;
+            }
+            const cleanedCache = filterTodayCache(cache);
+            removed = Object.keys(cache).length - Object.keys(cleanedCache).length;
+            return removed > 0 ? cleanedCache : undefined;
+        });
+        if (removed > 0) {
+            log(`清理了 ${removed} 个过期缓存条目`);
+        }
     } catch (error) {
-        log(`写入缓存失败: ${error.message}`, 'ERROR');
+        log(`清理缓存失败: ${error.message}`, 'WARN');
     }
 }
 
-// 保存用户签到数据到缓存
+// 保存用户签到数据到缓存 (加锁读取最新的缓存后写入，同时运行的其他进程写入的条目不会被覆盖)
 function saveToCacheIfFirstSign(username, signData, isFirstSign) {
     if (!isFirstSign || !signData) {
         return;
     }
     
     try {
-        const cache = readCache();
-        const today = getTodayString();
-        
-        cache[username] = {
-            date: today,
-            sign_count: signData.sign_count || 0,
-            get_traffic: signData.get_traffic || 0,
-            total_traffic: signData.total_traffic || 0,
-            message: signData.message || '签到成功',
-            timestamp: new Date().toISOString()
-        };
-        
-        writeCache(cache);
+        getStore().update('cache', current => {
+            const cache = filterTodayCache(current);
+            cache[username] = {
+                date: getTodayString(),
+                sign_count: signData.sign_count || 0,
+                get_traffic: signData.get_traffic || 0,
+                total_traffic: signData.total_traffic || 0,
+                message: signData.message || '签到成功',
+                timestamp: now().toISOString()
+            };
+            return cache;
+        });
         log(`用户 ${username} 的签到数据已缓存`);
     } catch (error) {
         log(`保存缓存失败: ${error.message}`, 'ERROR');
@@ -136,327 +399,1967 @@ function getFromCache(username) {
     }
 }
 
-// 获取用户列表
-function getUserList() {
-    const users = process.env.YBT_USERS;
-    if (!users) {
-        log('未找到环境变量 YBT_USERS，请先配置用户名', 'ERROR');
-        return [];
-    }
-    
-    // 支持换行符和&分隔符
-    return users.split(/[\n&]/)
-        .map(user => user.trim())
-        .filter(user => user.length > 0);
-}
+// ==================== 签到历史 ====================
 
-// 执行签到请求
-async function performSign(username, retryCount = 0) {
-    try {
-        log(`开始为用户 ${username} 执行签到...`);
-        
-        const response = await axios({
-            method: 'POST',
-            url: CONFIG.API_URL,
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'Accept': 'application/json, text/plain, */*',
-                'User-Agent': CONFIG.USER_AGENT
-            },
-            data: `username=${encodeURIComponent(username)}`,
-            timeout: CONFIG.TIMEOUT,
-            validateStatus: function (status) {
-                // 接受 200 和 400 状态码（400可能是重复签到）
-                return status === 200 || status === 400;
-            }
-        });
+// 历史记录中保存的签到数据字段
+const HISTORY_FIELDS = ['sign_count', 'get_traffic', 'total_traffic'];
 
-        return {
-            success: true,
-            status: response.status,
-            data: response.data
-        };
+// 日期字符串加减天数
+function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
 
-    } catch (error) {
-        log(`用户 ${username} 签到请求失败: ${error.message}`, 'ERROR');
-        
-        // 如果是网络错误且未达到最大重试次数，则重试
-        if (retryCount < CONFIG.MAX_RETRY && (
-            error.code === 'ECONNRESET' || 
-            error.code === 'ETIMEDOUT' || 
-            error.code === 'ENOTFOUND' ||
-            error.message.includes('timeout')
-        )) {
-            log(`用户 ${username} 第 ${retryCount + 1} 次重试...`, 'WARN');
-            await delay(CONFIG.RETRY_DELAY);
-            return performSign(username, retryCount + 1);
-        }
+// 两个日期字符串相差的天数 (to - from)
+function diffDays(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
 
-        return {
-            success: false,
-            error: error.message,
-            code: error.code
-        };
+// 检查签到历史的格式 { accounts: { 用户名: { 'YYYY-MM-DD': 记录 } } }，没有数据时返回空的历史
+function normalizeHistory(history) {
+    if (history === null) {
+        return { accounts: {} };
+    }
+    if (typeof history !== 'object' || typeof history.accounts !== 'object' || history.accounts === null) {
+        throw new Error('格式不正确');
     }
+    return history;
 }
 
-// 处理签到结果
-function processSignResult(username, result) {
-    if (!result.success) {
-        return {
-            username,
-            success: false,
-            message: `签到失败: ${result.error}`,
-            details: `错误代码: ${result.code || 'UNKNOWN'}`,
-            isFirstSign: false,
-            dataSource: 'error'
-        };
+// 读取签到历史
+function readHistory() {
+    try {
+        return normalizeHistory(getStore().read('history'));
+    } catch (error) {
+        log(`读取签到历史失败: ${error.message}`, 'WARN');
+        return { accounts: {} };
     }
+}
 
-    const { status, data } = result;
-
-    // 只有 HTTP 200 且包含完整流量数据的响应才是首次签到
-    if (status === 200 && data && data.data && 
-        data.data.sign_status === true && 
-        typeof data.data.get_traffic === 'number' && 
-        typeof data.data.total_traffic === 'number') {
-        
-        const signData = data.data;
-        
-        // 保存到缓存 - 只有真正的首次签到才缓存
-        saveToCacheIfFirstSign(username, signData, true);
-        
-        return {
-            username,
-            success: true,
-            message: '签到成功',
-            details: `${signData.message || '签到成功'}\n` +
-                    `累计签到: ${signData.sign_count || 0} 天\n` +
-                    `获得流量: ${signData.get_traffic || 0} MB\n` +
-                    `总流量: ${signData.total_traffic || 0} MB`,
-            isFirstSign: true,
-            dataSource: 'api'
-        };
+// 将本次签到结果写入历史，并删除超过保留天数的记录
+// 同一天多次执行时合并: 成功状态和已有的流量数据不会被之后的失败或缺少流量的结果覆盖
+function updateHistory(results) {
+    if (!(CONFIG.HISTORY_DAYS > 0)) {
+        return;
     }
-
-    // 处理所有其他情况（包括 HTTP 400 和其他 HTTP 200 响应）- 都不是首次签到
-    if (data && data.data) {
-        const signData = data.data;
-        
-        // 如果是已签到状态，尝试从缓存获取流量数据
-        if (signData.sign_status === true) {
-            const cachedData = getFromCache(username);
-            
-            if (cachedData) {
-                // 使用缓存数据
-                return {
-                    username,
-                    success: true,
-                    message: '今日已签到',
-                    details: `${cachedData.message || '今日已签到'}\n` +
-                            `累计签到: ${cachedData.sign_count || 0} 天\n` +
-                            `获得流量: ${cachedData.get_traffic || 0} MB\n` +
-                            `总流量: ${cachedData.total_traffic || 0} MB`,
-                    isFirstSign: false,
-                    dataSource: 'cache'
-                };
-            } else {
-                // 没有缓存数据，使用API返回的基本信息
-                return {
-                    username,
-                    success: true,
-                    message: '今日已签到',
-                    details: `${signData.message || '今日已签到'}\n` +
-                            `累计签到: ${signData.sign_count || 0} 天\n` +
-                            `(流量信息需首次签到获取)`,
-                    isFirstSign: false,
-                    dataSource: 'api_limited'
-                };
+    
+    const today = getTodayString();
+    const oldest = addDays(today, -(CONFIG.HISTORY_DAYS - 1));
+    let removed = 0;
+    try {
+        getStore().update('history', value => {
+            let history;
+            try {
+                history = normalizeHistory(value);
+            } catch (error) {
+                log(`签到历史${error.message}，将重新记录`, 'WARN');
+                history = { accounts: {} };
             }
-        }
+            mergeHistory(history, results, today);
+            removed = pruneHistory(history, oldest);
+            return history;
+        });
+    } catch (error) {
+        log(`写入签到历史失败: ${error.message}`, 'ERROR');
+        return;
     }
+    log(`签到历史已更新${removed > 0 ? `，清理了 ${removed} 条超过 ${CONFIG.HISTORY_DAYS} 天的记录` : ''}`);
+}
 
-    // 处理用户不存在
-    if (data && data.message === '用户不存在') {
-        return {
-            username,
-            success: false,
-            message: '用户不存在',
-            details: '请检查用户名是否正确',
-            isFirstSign: false,
-            dataSource: 'error'
-        };
-    }
+// 将本次签到结果合并到 today 的记录中
+function mergeHistory(history, results, today) {
+    results.forEach(result => {
+        // 接口格式变化不能说明账号漏签，不记录，以免报告中计为漏签
+        if (result.formatChanged) {
+            return;
+        }
+        const records = history.accounts[result.username] || {};
+        const previous = records[today] || {};
+        const data = result.data || {};
+        const record = { status: previous.status === 'success' || result.success ? 'success' : 'failed' };
+        HISTORY_FIELDS.forEach(key => {
+            const value = typeof data[key] === 'number' ? data[key] : previous[key];
+            if (typeof value === 'number') {
+                record[key] = value;
+            }
+        });
+        record.updated_at = now().toISOString();
+        records[today] = record;
+        history.accounts[result.username] = records;
+    });
+}
 
-    // 处理其他失败情况
-    return {
-        username,
-        success: false,
-        message: '签到失败',
-        details: `HTTP状态: ${status}, 响应: ${JSON.stringify(data)}`,
-        isFirstSign: false,
-        dataSource: 'error'
-    };
+// 删除 oldest 之前的记录，返回删除的条数
+function pruneHistory(history, oldest) {
+    let removed = 0;
+    Object.keys(history.accounts).forEach(username => {
+        const records = history.accounts[username];
+        Object.keys(records).forEach(date => {
+            if (date < oldest) {
+                delete records[date];
+                removed++;
+            }
+        });
+        if (Object.keys(records).length === 0) {
+            delete history.accounts[username];
+        }
+    });
+    return removed;
 }
 
-// 格式化通知消息 (缓存版)
-function formatNotifyMessage(results) {
-    const successCount = results.filter(r => r.success).length;
-    const totalCount = results.length;
-    const failCount = totalCount - successCount;
-    const firstSignCount = results.filter(r => r.isFirstSign).length;
-    const cachedCount = results.filter(r => r.dataSource === 'cache').length;
-    
-    // 构建标题和统计信息
-    let message = `🎯 YBT 自动签到报告\n`;
-    message += `${'='.repeat(30)}\n\n`;
-    
-    // 统计概览
-    message += `📊 执行概览:\n`;
-    message += `• 总账号数: ${totalCount} 个\n`;
-    message += `• 签到成功: ${successCount} 个\n`;
-    if (firstSignCount > 0) {
-        message += `• 首次签到: ${firstSignCount} 个 🆕\n`;
-    }
-    if (cachedCount > 0) {
-        message += `• 缓存数据: ${cachedCount} 个 💾\n`;
-    }
-    if (failCount > 0) {
-        message += `• 签到失败: ${failCount} 个\n`;
-    }
-    message += `\n`;
-    
-    // 详细结果
-    message += `📋 详细结果:\n`;
-    message += `${'-'.repeat(25)}\n`;
+// 分析一个账号在 [from, to] 期间的签到情况
+// 除了历史记录本身，还根据相邻两条记录的 sign_count 差值推断: 差值等于间隔天数说明中间没有漏签
+// (如手动签到)，小于间隔天数时差额即为漏签天数
+// 返回 { days: [{ date, state, traffic }], signedDays, missedDays, traffic, streak, totalTraffic }
+// state: signed 已签到 / missed 漏签 / failed 签到失败 / unknown 无记录
+function analyzeHistory(records, from, to) {
+    const dates = Object.keys(records).sort();
+    const states = {};
+    dates.forEach(date => {
+        states[date] = records[date].status === 'success' ? 'signed' : 'failed';
+    });
     
-    results.forEach((result, index) => {
-        const status = result.success ? '✅' : '❌';
-        let dataSourceIcon = '';
-        
-        // 添加数据源标识
-        if (result.dataSource === 'cache') {
-            dataSourceIcon = ' 💾';
-        } else if (result.isFirstSign) {
-            dataSourceIcon = ' 🆕';
+    // 根据 sign_count 推断两条记录之间的日期
+    let missedDays = 0;
+    const uncertainDays = new Set(); // 已按整段计入漏签天数的日期，下面逐日统计时不再重复计入
+    const counted = dates.filter(date => states[date] === 'signed' && typeof records[date].sign_count === 'number');
+    for (let i = 1; i < counted.length; i++) {
+        const prev = counted[i - 1];
+        const cur = counted[i];
+        const gained = records[cur].sign_count - records[prev].sign_count;
+        if (cur < from || gained < 0) {
+            continue; // 不在统计范围内，或累计签到被重置
         }
         
-        message += `\n${index + 1}. ${status} ${result.username}${dataSourceIcon}\n`;
-        message += `   状态: ${result.message}\n`;
-        
-        if (result.details) {
-            // 处理详细信息的格式化
-            const details = result.details.split('\n').filter(line => line.trim());
-            details.forEach(detail => {
-                if (detail.includes('累计签到:')) {
-                    message += `   📅 ${detail}\n`;
-                } else if (detail.includes('获得流量:')) {
-                    message += `   📈 ${detail}\n`;
-                } else if (detail.includes('总流量:')) {
-                    message += `   💾 ${detail}\n`;
-                } else if (detail.trim() && !detail.includes('流量信息需首次签到获取')) {
-                    message += `   💬 ${detail}\n`;
-                } else if (detail.includes('流量信息需首次签到获取')) {
-                    message += `   ⚠️ ${detail}\n`;
-                }
+        const between = [];
+        for (let date = addDays(prev, 1); date < cur; date = addDays(date, 1)) {
+            between.push(date);
+        }
+        const missed = diffDays(prev, cur) - gained;
+        const candidates = between.filter(date => states[date] !== 'signed');
+        if (missed <= 0) {
+            candidates.forEach(date => {
+                states[date] = 'signed';
+            });
+        } else if (missed === candidates.length) {
+            candidates.forEach(date => {
+                states[date] = 'missed';
             });
+        } else {
+            // 无法确定是哪几天漏签，整段只计入一次: 推算的漏签天数和其中已记录的失败天数取较大值
+            const inRange = between.filter(date => date >= from);
+            const failed = inRange.filter(date => states[date] === 'failed').length;
+            missedDays += Math.min(Math.max(missed, failed), inRange.length);
+            inRange.forEach(date => uncertainDays.add(date));
         }
-    });
+    }
     
-    // 添加底部信息
-    message += `\n${'='.repeat(30)}\n`;
-    message += `🕐 ${new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}\n`;
-    message += `🤖 青龙面板自动执行`;
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const record = records[date];
+        days.push({
+            date,
+            state: states[date] || 'unknown',
+            traffic: record && states[date] === 'signed' && typeof record.get_traffic === 'number' ? record.get_traffic : null
+        });
+    }
+    missedDays += days.filter(day => (day.state === 'missed' || day.state === 'failed') && !uncertainDays.has(day.date)).length;
     
-    // 添加缓存说明
-    if (cachedCount > 0) {
-        message += `\n💡 💾标记表示使用缓存数据`;
+    // 连续签到天数: 从今天 (今天还没有记录时从昨天) 往前数
+    let streak = 0;
+    let date = states[to] ? to : addDays(to, -1);
+    while (states[date] === 'signed') {
+        streak++;
+        date = addDays(date, -1);
     }
-    if (firstSignCount > 0) {
-        message += `\n💡 🆕标记表示今日首次签到`;
+    
+    const latest = dates.filter(item => item <= to && typeof records[item].total_traffic === 'number').pop();
+    return {
+        days,
+        signedDays: days.filter(day => day.state === 'signed').length,
+        missedDays,
+        traffic: days.reduce((sum, day) => sum + (day.traffic || 0), 0),
+        streak,
+        totalTraffic: latest ? records[latest].total_traffic : null
+    };
+}
+
+// 每日状态在图表中的标记
+const CHART_MARKS = { missed: '✗', failed: '✗', unknown: '·' };
+
+// 文本图表: 不超过 7 天时每天一行横条，否则为一行迷你折线 (▁▂▃▄▅▆▇█)
+function renderTrafficChart(days) {
+    const max = Math.max.apply(null, days.map(day => day.traffic || 0));
+    if (days.length <= 7) {
+        const weekdays = ['日', '一', '二', '三', '四', '五', '六'];
+        return days.map(day => {
+            const label = `${day.date.slice(5)} ${weekdays[new Date(`${day.date}T00:00:00Z`).getUTCDay()]}`;
+            if (day.state !== 'signed') {
+                return `${label} ${CHART_MARKS[day.state]} ${day.state === 'unknown' ? '无记录' : '漏签'}`;
+            }
+            if (day.traffic === null) {
+                return `${label} ✓ 已签到`;
+            }
+            const width = max > 0 ? Math.max(1, Math.round(day.traffic / max * 10)) : 1;
+            return `${label} ${'█'.repeat(width)} ${day.traffic} MB`;
+        }).join('\n');
     }
     
-    return message;
+    const levels = '▁▂▃▄▅▆▇█';
+    const line = days.map(day => {
+        if (day.state !== 'signed') {
+            return CHART_MARKS[day.state];
+        }
+        const value = day.traffic || 0;
+        return levels[max > 0 ? Math.round(value / max * (levels.length - 1)) : 0];
+    }).join('');
+    return `${line}\n${days[0].date.slice(5)} ~ ${days[days.length - 1].date.slice(5)}，最高 ${max} MB/天，✗ 漏签，· 无记录`;
 }
 
-// 调试用的通知发送函数
-async function debugSendNotify(title, content) {
-    log('=== 通知调试信息 ===');
-    log(`标题: ${title}`);
-    log(`内容长度: ${content.length}`);
-    log(`内容预览: ${content.substring(0, 100)}...`);
+// 获取报告的统计区间: weekly 为截至 today 的最近 7 天，monthly 为当月 1 日到 today (默认为今天)
+function getReportRange(type, today = getTodayString()) {
+    return {
+        from: type === 'monthly' ? `${today.slice(0, 8)}01` : addDays(today, -6),
+        to: today
+    };
+}
+
+// 构建周报 / 月报的结构化消息，每个账号一段，date 为报告截止日期 (默认为今天)
+function buildReportMessage(type, accounts, date) {
+    const { from, to } = getReportRange(type, date);
+    const history = readHistory();
+    const sections = [];
     
-    try {
-        // 检查 sendNotify 函数是否存在
-        if (typeof sendNotify !== 'function') {
-            throw new Error('sendNotify 函数未定义');
+    accounts.forEach(account => {
+        const name = getDisplayName(account);
+        const records = history.accounts[account.username];
+        if (!records || Object.keys(records).length === 0) {
+            sections.push({ title: name, badge: 'info', text: '暂无签到历史' });
+            return;
         }
         
-        log('开始调用 sendNotify 函数...');
-        
-        // 尝试发送通知
-        const result = await sendNotify(title, content);
-        log(`sendNotify 返回值: ${JSON.stringify(result)}`);
-        
-        return result;
-    } catch (error) {
-        log(`调试发现错误: ${error.message}`, 'ERROR');
-        log(`错误堆栈: ${error.stack}`, 'ERROR');
-        throw error;
-    }
+        const stats = analyzeHistory(records, from, to);
+        const rows = [
+            { label: '签到天数', value: `${stats.signedDays}/${stats.days.length} 天` },
+            { label: '获得流量', value: `${stats.traffic} MB` },
+            { label: '连续签到', value: `${stats.streak} 天` }
+        ];
+        if (stats.totalTraffic !== null) {
+            rows.push({ label: '总流量', value: `${stats.totalTraffic} MB` });
+        }
+        if (stats.missedDays > 0) {
+            rows.push({ label: '漏签', value: `${stats.missedDays} 天`, badge: 'warning' });
+        }
+        sections.push({ title: name, badge: stats.missedDays > 0 ? 'warning' : 'success', rows });
+        sections.push({ text: renderTrafficChart(stats.days) });
+    });
+    
+    return {
+        sections: [{ text: `📆 统计区间: ${from} ~ ${to}` }].concat(sections),
+        footer: buildFooter([])
+    };
 }
 
-// 主函数
-async function main() {
+// 获取今天需要定期发送的报告 (YBT_REPORT): weekly 在周日，monthly 在每月最后一天
+function getDueReports() {
+    const today = getTodayString();
+    return String(process.env.YBT_REPORT || '').split(/[,，\s]+/).map(item => item.trim().toLowerCase()).filter(type => {
+        if (type === 'weekly') {
+            return new Date(`${today}T00:00:00Z`).getUTCDay() === 0;
+        }
+        if (type === 'monthly') {
+            return addDays(today, 1).slice(8) === '01';
+        }
+        if (type) {
+            log(`YBT_REPORT 中的未知报告类型: ${type}，可选 weekly / monthly`, 'WARN');
+        }
+        return false;
+    });
+}
+
+// 发送周报 / 月报，date 为报告截止日期 (免打扰时段暂存的报告在之后发送时使用原来的日期)
+async function sendReport(type, accounts, date) {
+    const title = type === 'monthly' ? 'YBT 签到月报' : 'YBT 签到周报';
+    const message = buildReportMessage(type, accounts, date);
+    await debugSendNotify(title, renderPlainText(message), message);
+}
+
+// ==================== 账号配置 ====================
+
+// 账号选项
+const ACCOUNT_KEYS = ['username', 'alias', 'proxy', 'enabled', 'notify'];
+
+// 将 true / false / 1 / 0 / yes / no / on / off 转换为布尔值，无法识别时返回 null
+function parseBoolean(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(text)) {
+        return true;
+    }
+    if (['false', '0', 'no', 'off'].includes(text)) {
+        return false;
+    }
+    return null;
+}
+
+// 根据代理地址生成 axios 请求选项: http(s) 代理使用 axios 内置支持，socks 代理需要 socks-proxy-agent
+function createProxyOptions(proxyUrl) {
+    const target = new URL(proxyUrl);
+    if (/^socks/.test(target.protocol)) {
+        let socks;
+        try {
+            socks = require('socks-proxy-agent');
+        } catch (error) {
+            throw new Error('使用 SOCKS 代理需要安装依赖 socks-proxy-agent');
+        }
+        const SocksProxyAgent = socks.SocksProxyAgent || socks;
+        const agent = new SocksProxyAgent(proxyUrl);
+        return { httpAgent: agent, httpsAgent: agent, proxy: false };
+    }
+    
+    const proxy = {
+        protocol: target.protocol.replace(':', ''),
+        host: target.hostname,
+        port: Number(target.port) || (target.protocol === 'https:' ? 443 : 80)
+    };
+    if (target.username) {
+        proxy.auth = {
+            username: decodeURIComponent(target.username),
+            password: decodeURIComponent(target.password)
+        };
+    }
+    return { proxy };
+}
+
+// 校验并规范化一个账号配置，raw 为对象 (YBT_ACCOUNTS) 或由 YBT_USERS 解析出的字段
+// 返回 { account } 或 { error }
+function normalizeAccount(raw) {
+    const unknown = Object.keys(raw).filter(key => !ACCOUNT_KEYS.includes(key));
+    if (unknown.length > 0) {
+        return { error: `未知的选项 ${unknown.join(', ')}，可用选项: ${ACCOUNT_KEYS.slice(1).join(', ')}` };
+    }
+    
+    const username = typeof raw.username === 'string' ? raw.username.trim() : '';
+    if (!username) {
+        return { error: '缺少用户名' };
+    }
+    
+    const account = { username, alias: '', proxy: '', enabled: true, notify: [], requestOptions: {} };
+    if (raw.alias !== undefined) {
+        account.alias = String(raw.alias).trim();
+    }
+    
+    if (raw.enabled !== undefined) {
+        account.enabled = parseBoolean(raw.enabled);
+        if (account.enabled === null) {
+            return { error: `enabled 应为 true 或 false: ${raw.enabled}` };
+        }
+    }
+    
+    if (raw.proxy !== undefined && String(raw.proxy).trim()) {
+        account.proxy = String(raw.proxy).trim();
+        if (!/^(https?|socks[45]?h?):\/\/\S+$/i.test(account.proxy)) {
+            return { error: 'proxy 应为 http://、https://、socks5:// 等开头的代理地址' };
+        }
+        try {
+            account.requestOptions = createProxyOptions(account.proxy);
+        } catch (error) {
+            return { error: `proxy 无效: ${error.message}` };
+        }
+    }
+    
+    if (raw.notify !== undefined) {
+        try {
+            account.notify = parseNotifyTargets(raw.notify);
+        } catch (error) {
+            return { error: `notify ${error.message}` };
+        }
+    }
+    
+    return { account };
+}
+
+// 解析账号的 notify 选项，返回 [{ channel, target, secret }]，target 为空时使用全局配置的接收目标
+// 支持 "telegram:123456,bark" 字符串、["telegram:123456", "bark"] 数组或 { "telegram": "123456", "smtp": ["a@x.com"] } 对象
+// 对象形式中加签的机器人可同时指定密钥: { "dingtalk": { "token": "...", "secret": "..." } } (飞书为 key 和 secret)
+function parseNotifyTargets(value) {
+    let entries = [];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.keys(value).forEach(channel => {
+            [].concat(value[channel]).forEach(target => entries.push({ channel, target }));
+        });
+    } else {
+        entries = (Array.isArray(value) ? value : String(value).split(/[,，]/)).map(item => {
+            const text = String(item).trim();
+            const index = text.indexOf(':');
+            return index > 0 ?
+                { channel: text.slice(0, index), target: text.slice(index + 1) } :
+                { channel: text, target: '' };
+        });
+    }
+    
+    const text = value => value === null || value === undefined || value === true ? '' : String(value).trim();
+    entries = entries
+        .map(entry => {
+            const target = entry.target && typeof entry.target === 'object' ? entry.target : { target: entry.target };
+            return {
+                channel: String(entry.channel).trim().toLowerCase(),
+                target: text([target.target, target.token, target.key].find(item => item !== undefined)),
+                secret: text(target.secret)
+            };
+        })
+        .filter(entry => entry.channel);
+    if (entries.length > 0 && !notifyChannels) {
+        throw new Error('需要内置通知通道 notify_channels.js');
+    }
+    entries.forEach(entry => {
+        if (!notifyChannels.CHANNELS[entry.channel]) {
+            throw new Error(`中有未知的通知通道 ${entry.channel}，可用通道: ${Object.keys(notifyChannels.CHANNELS).join(', ')}`);
+        }
+        if (entry.secret && !notifyChannels.CHANNELS[entry.channel].secret) {
+            throw new Error(`中的通道 ${entry.channel} 不支持 secret`);
+        }
+        if (entry.secret && !entry.target) {
+            throw new Error(`中通道 ${entry.channel} 的 secret 需要同时指定接收目标`);
+        }
+    });
+    return entries;
+}
+
+// 解析 YBT_USERS 中的一项: 用户名后以分号分隔的 key=value 选项
+function parseUserEntry(entry) {
+    const parts = entry.split(/[;；]/).map(part => part.trim());
+    const raw = { username: parts[0] };
+    for (const part of parts.slice(1).filter(Boolean)) {
+        const index = part.indexOf('=');
+        if (index <= 0) {
+            throw new Error(`选项格式应为 key=value: ${part}`);
+        }
+        raw[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+    return raw;
+}
+
+// 读取 YBT_ACCOUNTS: JSON 文本 (以 [ 开头) 或 JSON 文件路径，数组元素为用户名或账号对象
+function readAccountsJson(value) {
+    let text = value;
+    if (!/^\s*[[{]/.test(value)) {
+        try {
+            text = fs.readFileSync(path.resolve(value.trim()), 'utf8');
+        } catch (error) {
+            throw new Error(`无法读取 YBT_ACCOUNTS 文件 ${value.trim()}: ${error.code || error.message}`);
+        }
+    }
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`YBT_ACCOUNTS 不是有效的 JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) {
+        throw new Error('YBT_ACCOUNTS 应为数组');
+    }
+    return data;
+}
+
+// 获取账号列表: 设置了 YBT_ACCOUNTS 时使用它，否则解析 YBT_USERS
+// 无效的账号在启动时逐个输出错误并跳过，返回 { accounts, errors }
+function getAccountList() {
+    const accounts = [];
+    const errors = [];
+    let entries;
+    let source;
+    
+    try {
+        if (process.env.YBT_ACCOUNTS) {
+            source = 'YBT_ACCOUNTS';
+            entries = readAccountsJson(process.env.YBT_ACCOUNTS).map(item => {
+                return typeof item === 'string' ? { username: item } : item;
+            });
+        } else if (process.env.YBT_USERS) {
+            source = 'YBT_USERS';
+            // 支持换行符和&分隔符
+            entries = process.env.YBT_USERS.split(/[\n&]/)
+                .map(user => user.trim())
+                .filter(user => user.length > 0);
+        } else {
+            errors.push('未找到环境变量 YBT_USERS 或 YBT_ACCOUNTS，请先配置用户名');
+            return { accounts, errors };
+        }
+    } catch (error) {
+        errors.push(error.message);
+        return { accounts, errors };
+    }
+    
+    entries.forEach((entry, index) => {
+        const name = typeof entry === 'string' ? entry.split(/[;；]/)[0].trim() :
+            entry && typeof entry.username === 'string' ? entry.username.trim() : '';
+        const label = `${source} 第 ${index + 1} 项${name ? ` (${name})` : ''}`;
+        let result;
+        try {
+            const raw = typeof entry === 'string' ? parseUserEntry(entry) : entry;
+            if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+                throw new Error('应为用户名或账号对象');
+            }
+            result = normalizeAccount(raw);
+        } catch (error) {
+            result = { error: error.message };
+        }
+        
+        if (!result.error && accounts.some(account => account.username === result.account.username)) {
+            result = { error: '用户名重复' };
+        }
+        if (result.error) {
+            errors.push(`${label}: ${result.error}`);
+            return;
+        }
+        accounts.push(result.account);
+    });
+    
+    return { accounts, errors };
+}
+
+// 账号在报告中显示的名称
+function getDisplayName(account) {
+    return account.alias || account.username;
+}
+
+// 判断 HTTP 状态码是否可重试 (CONFIG.RETRY_STATUS 中的状态码或 5xx 这样的整类)
+function isRetryableStatus(status) {
+    return CONFIG.RETRY_STATUS.split(/[,，\s]+/).filter(Boolean).some(item => {
+        return /^[1-5]xx$/i.test(item) ? String(status)[0] === item[0] : Number(item) === status;
+    });
+}
+
+// 判断请求异常是否为可重试的网络错误 (连接失败、超时等)
+function isNetworkError(error) {
+    return !error.response && (RETRYABLE_ERROR_CODES.includes(error.code) || /timeout/i.test(error.message));
+}
+
+// 解析 Retry-After 响应头 (秒数或 HTTP 日期)，返回需要等待的毫秒数，无法解析时返回 null
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+        return Number(value) * 1000;
+    }
+    const time = Date.parse(value);
+    return isNaN(time) ? null : Math.max(0, time - now().getTime());
+}
+
+// 计算第 attempt 次重试 (从 0 开始) 的延迟: 基础延迟按次数翻倍，不超过最大延迟，再取其一半到全部之间的随机值
+function computeBackoff(attempt) {
+    const backoff = Math.min(CONFIG.RETRY_MAX_DELAY, CONFIG.RETRY_DELAY * Math.pow(2, attempt));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+// 记录一个账号的请求结果: 服务端错误累计到熔断器，其他结果清零
+function recordServerResult(serverError) {
+    if (!serverError) {
+        breaker.failures = 0;
+        return;
+    }
+    breaker.failures++;
+    if (CONFIG.BREAKER_THRESHOLD > 0 && breaker.failures >= CONFIG.BREAKER_THRESHOLD && !breaker.open) {
+        breaker.open = true;
+        log(`连续 ${breaker.failures} 个账号遇到服务端错误，已熔断，本次运行不再请求签到接口`, 'WARN');
+    }
+}
+
+// 本次执行已录制的响应数 (录制文件名中的序号)
+let recordedCount = 0;
+
+// 录制一次签到请求及其响应 (或网络错误) 到 YBT_RECORD_DIR，文件名为 <时间>_<序号>_<用户名>_<状态码或错误代码>.json
+// 序号按本次执行的录制顺序递增，YBT_NOW 固定时间时重试的响应也不会互相覆盖，回放时保持录制顺序
+// 用户名和响应内容按原样保存 (replay 按用户名匹配录制的响应)，不做脱敏
+// 录制失败只记录日志，不影响签到
+function recordFixture(username, response, error) {
+    if (!CONFIG.RECORD_DIR) {
+        return;
+    }
+    const time = now();
+    recordedCount++;
+    const fixture = {
+        recorded_at: time.toISOString(),
+        request: { method: 'POST', url: CONFIG.API_URL, username }
+    };
+    if (response) {
+        const headers = response.headers || {};
+        fixture.response = {
+            status: response.status,
+            headers: {},
+            body: response.data
+        };
+        ['content-type', 'retry-after'].forEach(name => {
+            if (headers[name] !== undefined) {
+                fixture.response.headers[name] = headers[name];
+            }
+        });
+    } else {
+        fixture.error = { code: error.code || 'UNKNOWN', message: error.message };
+    }
+    
+    const outcome = response ? response.status : fixture.error.code;
+    const name = `${time.toISOString().replace(/[:.]/g, '-')}_${String(recordedCount).padStart(3, '0')}_${username.replace(/[^\w-]/g, '_')}_${outcome}.json`;
+    try {
+        fs.mkdirSync(CONFIG.RECORD_DIR, { recursive: true });
+        fs.writeFileSync(path.join(CONFIG.RECORD_DIR, name), JSON.stringify(fixture, null, 2));
+        log(`已录制接口响应: ${name}`);
+    } catch (writeError) {
+        log(`录制接口响应失败: ${writeError.message}`, 'WARN');
+    }
+}
+
+// 执行签到请求，requestOptions 为附加的 axios 选项 (如账号的代理)
+// 网络错误和可重试的状态码按指数退避重试 (有 Retry-After 时按其等待)，熔断后直接返回失败
+async function performSign(username, requestOptions = {}) {
+    log(`开始为用户 ${username} 执行签到...`);
+    
+    for (let attempt = 0; ; attempt++) {
+        if (breaker.open) {
+            return {
+                success: false,
+                error: '服务端连续出错，已熔断',
+                code: 'CIRCUIT_OPEN'
+            };
+        }
+        
+        let failure;
+        try {
+            const response = await axios(Object.assign({
+                method: 'POST',
+                url: CONFIG.API_URL,
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Accept': 'application/json, text/plain, */*',
+                    'User-Agent': CONFIG.USER_AGENT
+                },
+                data: `username=${encodeURIComponent(username)}`,
+                timeout: CONFIG.TIMEOUT,
+                validateStatus: () => true // 状态码在下面统一判断
+            }, requestOptions));
+            recordFixture(username, response);
+            
+            // 200 和 400 (可能是重复签到) 交给 processSignResult 处理
+            if (response.status === 200 || response.status === 400) {
+                recordServerResult(false);
+                return {
+                    success: true,
+                    status: response.status,
+                    data: response.data
+                };
+            }
+            
+            failure = {
+                error: `HTTP ${response.status}`,
+                code: `HTTP_${response.status}`,
+                retryable: isRetryableStatus(response.status),
+                serverError: response.status >= 500 || response.status === 429,
+                retryAfter: parseRetryAfter(response.headers && response.headers['retry-after'])
+            };
+        } catch (error) {
+            recordFixture(username, null, error);
+            failure = {
+                error: error.message,
+                code: error.code,
+                retryable: isNetworkError(error),
+                serverError: isNetworkError(error),
+                retryAfter: null
+            };
+        }
+        
+        log(`用户 ${username} 签到请求失败: ${failure.error}`, 'ERROR');
+        
+        if (failure.retryable && attempt < CONFIG.MAX_RETRY) {
+            const wait = failure.retryAfter !== null ? failure.retryAfter : computeBackoff(attempt);
+            if (wait <= CONFIG.RETRY_MAX_DELAY) {
+                log(`用户 ${username} ${(wait / 1000).toFixed(1)} 秒后第 ${attempt + 1} 次重试...`, 'WARN');
+                await delay(wait);
+                continue;
+            }
+            log(`服务端要求 ${Math.ceil(wait / 1000)} 秒后重试，超过最大延迟 ${CONFIG.RETRY_MAX_DELAY}ms，不再重试`, 'WARN');
+        }
+        
+        recordServerResult(failure.serverError);
+        return {
+            success: false,
+            error: failure.error,
+            code: failure.code
+        };
+    }
+}
+
+// 取出签到数据中的数值字段 (用于签到历史)
+function pickSignData(signData) {
+    const data = {};
+    HISTORY_FIELDS.forEach(key => {
+        if (typeof signData[key] === 'number') {
+            data[key] = signData[key];
+        }
+    });
+    return data;
+}
+
+// ==================== 接口响应格式 ====================
+
+// 签到接口已知的响应格式 (JSON Schema)，按顺序匹配，第一个匹配的即为响应类型
+// 只约束用到的字段，新增的字段不影响识别；都不匹配时视为接口格式变化
+const RESPONSE_VARIANTS = [
+    {
+        type: 'first_sign',
+        description: '首次签到',
+        status: [200],
+        schema: {
+            type: 'object',
+            required: ['data'],
+            properties: {
+                data: {
+                    type: 'object',
+                    required: ['sign_status', 'get_traffic', 'total_traffic'],
+                    properties: {
+                        sign_status: { const: true },
+                        message: { type: 'string' },
+                        sign_count: { type: 'number' },
+                        get_traffic: { type: 'number' },
+                        total_traffic: { type: 'number' }
+                    }
+                }
+            }
+        }
+    },
+    {
+        type: 'already_signed',
+        description: '今日已签到',
+        status: [200, 400],
+        schema: {
+            type: 'object',
+            required: ['data'],
+            properties: {
+                data: {
+                    type: 'object',
+                    required: ['sign_status'],
+                    properties: {
+                        sign_status: { const: true },
+                        message: { type: 'string' },
+                        sign_count: { type: 'number' },
+                        get_traffic: { type: 'number' },
+                        total_traffic: { type: 'number' }
+                    }
+                }
+            }
+        }
+    },
+    {
+        type: 'user_not_found',
+        description: '用户不存在',
+        status: [200, 400],
+        schema: {
+            type: 'object',
+            required: ['message'],
+            properties: { message: { const: '用户不存在' } }
+        }
+    },
+    {
+        type: 'rejected',
+        description: '签到被拒绝 (带错误信息)',
+        status: [400],
+        schema: {
+            type: 'object',
+            required: ['message'],
+            properties: { message: { type: 'string', minLength: 1 } }
+        }
+    }
+];
+
+// 响应样例中需要隐藏值的字段名
+const SENSITIVE_KEY_PATTERN = /token|passw|secret|cookie|session|auth|e-?mail|phone|mobile|^ip$|uuid|^uid$|user_?id/i;
+
+// 响应样例的最大长度 (字符)
+const SAMPLE_MAX_LENGTH = 500;
+
+// 识别响应类型: 返回 { variant, closest }，variant 为匹配的已知格式 (都不匹配时为 null)
+// closest 为状态码相同的格式中差异最少的一个及其差异 { variant, issues }，用于说明格式变化的位置
+function classifyResponse(status, body) {
+    let closest = null;
+    for (const variant of RESPONSE_VARIANTS) {
+        if (variant.status.indexOf(status) === -1) {
+            continue;
+        }
+        const issues = configLoader.validateSchema(body, variant.schema);
+        if (issues.length === 0) {
+            return { variant, closest: null };
+        }
+        if (!closest || issues.length < closest.issues.length) {
+            closest = { variant, issues };
+        }
+    }
+    return { variant: null, closest };
+}
+
+// 隐藏字符串中的邮箱、用户名、长数字 (手机号等) 和类似令牌的长字符串，并截断过长的内容
+function sanitizeText(text, username, maxLength) {
+    let sanitized = String(text).replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '<邮箱>');
+    if (username) {
+        sanitized = sanitized.split(username).join('<用户名>');
+    }
+    sanitized = sanitized
+        .replace(/[A-Za-z0-9_-]{24,}/g, '<已隐藏>')
+        .replace(/\d{7,}/g, '<已隐藏>');
+    return sanitized.length > maxLength ? `${sanitized.slice(0, maxLength)}…` : sanitized;
+}
+
+// 生成脱敏的响应样例: 保留结构和数字、布尔值，隐藏敏感字段，截断长字符串和长数组
+function sanitizeValue(value, username, depth = 0) {
+    if (typeof value === 'string') {
+        return sanitizeText(value, username, 60);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= 4) {
+        return Array.isArray(value) ? '[…]' : '{…}';
+    }
+    if (Array.isArray(value)) {
+        const items = value.slice(0, 3).map(item => sanitizeValue(item, username, depth + 1));
+        return value.length > 3 ? items.concat(`… (共 ${value.length} 项)`) : items;
+    }
+    const sample = {};
+    Object.keys(value).forEach(key => {
+        sample[key] = SENSITIVE_KEY_PATTERN.test(key) ? '<已隐藏>' : sanitizeValue(value[key], username, depth + 1);
+    });
+    return sample;
+}
+
+// 脱敏的响应样例文本 (无法解析为 JSON 的响应按原文脱敏)
+function buildResponseSample(body, username) {
+    const text = typeof body === 'string' ?
+        sanitizeText(body, username, SAMPLE_MAX_LENGTH) :
+        JSON.stringify(sanitizeValue(body, username));
+    return text.length > SAMPLE_MAX_LENGTH ? `${text.slice(0, SAMPLE_MAX_LENGTH)}…` : text;
+}
+
+// 响应的结构特征: 字段名和值类型 (不含具体的值)，同一种格式变化每天只通知一次
+function describeShape(value) {
+    if (Array.isArray(value)) {
+        return `[${value.length > 0 ? describeShape(value[0]) : ''}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${key}:${describeShape(value[key])}`).join(',')}}`;
+    }
+    return value === null ? 'null' : typeof value;
+}
+
+// 处理签到结果
+function processSignResult(username, result) {
+    if (!result.success && result.code === 'CIRCUIT_OPEN') {
+        return {
+            username,
+            success: false,
+            message: '未签到 (接口熔断)',
+            details: '服务端连续出错，本次运行已停止请求，请稍后重试',
+            isFirstSign: false,
+            dataSource: 'error'
+        };
+    }
+    
+    if (!result.success) {
+        return {
+            username,
+            success: false,
+            message: `签到失败: ${result.error}`,
+            details: `错误代码: ${result.code || 'UNKNOWN'}`,
+            isFirstSign: false,
+            dataSource: 'error'
+        };
+    }
+
+    const { status, data } = result;
+    const { variant, closest } = classifyResponse(status, data);
+    
+    // 首次签到: HTTP 200 且包含完整流量数据
+    if (variant && variant.type === 'first_sign') {
+        const signData = data.data;
+        
+        // 保存到缓存 - 只有真正的首次签到才缓存
+        saveToCacheIfFirstSign(username, signData, true);
+        
+        return {
+            username,
+            success: true,
+            message: '签到成功',
+            details: `${signData.message || '签到成功'}\n` +
+                    `累计签到: ${signData.sign_count || 0} 天\n` +
+                    `获得流量: ${signData.get_traffic || 0} MB\n` +
+                    `总流量: ${signData.total_traffic || 0} MB`,
+            data: pickSignData(signData),
+            isFirstSign: true,
+            dataSource: 'api'
+        };
+    }
+    
+    // 已签到 (HTTP 400 或不含流量的 HTTP 200): 尝试从缓存获取流量数据
+    if (variant && variant.type === 'already_signed') {
+        const signData = data.data;
+        const cachedData = getFromCache(username);
+        
+        if (cachedData) {
+            // 使用缓存数据
+            return {
+                username,
+                success: true,
+                message: '今日已签到',
+                details: `${cachedData.message || '今日已签到'}\n` +
+                        `累计签到: ${cachedData.sign_count || 0} 天\n` +
+                        `获得流量: ${cachedData.get_traffic || 0} MB\n` +
+                        `总流量: ${cachedData.total_traffic || 0} MB`,
+                data: pickSignData(cachedData),
+                isFirstSign: false,
+                dataSource: 'cache'
+            };
+        }
+        
+        // 没有缓存数据，使用API返回的基本信息
+        return {
+            username,
+            success: true,
+            message: '今日已签到',
+            details: `${signData.message || '今日已签到'}\n` +
+                    `累计签到: ${signData.sign_count || 0} 天\n` +
+                    `(流量信息需首次签到获取)`,
+            data: pickSignData({ sign_count: signData.sign_count }),
+            isFirstSign: false,
+            dataSource: 'api_limited'
+        };
+    }
+    
+    // 处理用户不存在
+    if (variant && variant.type === 'user_not_found') {
+        return {
+            username,
+            success: false,
+            message: '用户不存在',
+            details: '请检查用户名是否正确',
+            invalidAccount: true,
+            isFirstSign: false,
+            dataSource: 'error'
+        };
+    }
+    
+    // 接口返回了错误信息
+    if (variant && variant.type === 'rejected') {
+        return {
+            username,
+            success: false,
+            message: `签到失败: ${data.message}`,
+            details: `HTTP状态: ${status}`,
+            isFirstSign: false,
+            dataSource: 'error'
+        };
+    }
+    
+    // 无法识别的响应: 接口格式可能已变化，单独通知 (不计入账号的连续失败)
+    const sample = buildResponseSample(data, username);
+    let difference = `HTTP ${status} 没有已知的响应格式`;
+    if (typeof data === 'string') {
+        difference = '响应不是合法的 JSON';
+    } else if (closest) {
+        const issues = closest.issues.slice(0, 3).map(issue => `${issue.path || '响应'} ${issue.message}`);
+        difference = `最接近"${closest.variant.description}"，${issues.join('；')}`;
+    }
+    log(`用户 ${username} 的签到响应无法识别 (HTTP ${status})，${difference}，响应样例: ${sample}`, 'WARN');
+    return {
+        username,
+        success: false,
+        message: '接口格式变化',
+        details: `HTTP状态: ${status}\n无法识别签到接口的响应，可能需要更新脚本`,
+        formatChanged: { status, shape: describeShape(data), difference, sample },
+        isFirstSign: false,
+        dataSource: 'error'
+    };
+}
+
+// 详情行的图标: 累计签到、获得流量、总流量，其余为 💬
+const DETAIL_ICONS = [
+    { keyword: '累计签到', icon: '📅' },
+    { keyword: '获得流量', icon: '📈' },
+    { keyword: '总流量', icon: '💾' }
+];
+
+// 汇总报告使用紧凑布局的账号数 (YBT_NOTIFY_LAYOUT=auto)
+const COMPACT_THRESHOLD = 10;
+
+// 青龙 sendNotify.js 每条通知内容的默认最大字符数
+const DEFAULT_NOTIFY_MAX_LENGTH = 1500;
+
+// 构建汇总报告开头的概览段落: 执行概览、状态变化及各账号单独通知的发送情况 (deliveries)
+function buildSummarySections(run, deliveries) {
+    const results = run.results;
+    const successCount = results.filter(r => r.success).length;
+    const totalCount = results.length;
+    const failCount = totalCount - successCount;
+    const firstSignCount = results.filter(r => r.isFirstSign).length;
+    const cachedCount = results.filter(r => r.dataSource === 'cache').length;
+    
+    // 统计概览
+    const overview = [
+        { label: '总账号数', value: `${totalCount} 个` },
+        { label: '签到成功', value: `${successCount} 个`, badge: 'success' }
+    ];
+    if (firstSignCount > 0) {
+        overview.push({ label: '首次签到', value: `${firstSignCount} 个 🆕` });
+    }
+    if (cachedCount > 0) {
+        overview.push({ label: '缓存数据', value: `${cachedCount} 个 💾` });
+    }
+    if (failCount > 0) {
+        overview.push({ label: '签到失败', value: `${failCount} 个`, badge: 'failure' });
+    }
+    const sections = [{ title: '📊 执行概览', rows: overview }];
+    
+    if (run.changes.length > 0) {
+        sections.push(buildChangeSection(run.changes.map(change => ({ change }))));
+    }
+    if (run.skipped && run.skipped.length > 0) {
+        sections.push(buildSkippedSection(run.skipped));
+    }
+    if (deliveries.length > 0) {
+        sections.push(buildDeliverySection(deliveries));
+    }
+    return sections;
+}
+
+// 构建已自动停用 (本次跳过) 的账号段落，skipped 为 [{ name, record }]
+function buildSkippedSection(skipped) {
+    return {
+        title: '⛔ 已停用账号',
+        items: skipped.map(item => `${item.name}: ${item.record.disabled.date} 停用，连续失败 ${item.record.failure_days} 天，` +
+            `上次成功 ${item.record.last_success || '无记录'}`)
+    };
+}
+
+// 构建状态变化段落，entries 为 [{ change, time }]，time 为合并多次执行时显示的执行时间
+function buildChangeSection(entries) {
+    return {
+        title: '🔄 状态变化',
+        items: entries.map(entry => {
+            const change = entry.change;
+            const text = change.status === 'success' ? '✅ 恢复签到' : `❌ 签到失败 (${change.message})`;
+            return `${entry.time ? `${entry.time} ` : ''}${change.name} ${text}`;
+        })
+    };
+}
+
+// 构建各账号单独通知的发送情况段落
+function buildDeliverySection(deliveries) {
+    return {
+        title: '📨 账号通知',
+        rows: deliveries.map(delivery => ({
+            label: delivery.name,
+            value: delivery.channels.map(item => `${item.label}${item.success ? '' : ' (失败)'}`).join('、'),
+            badge: delivery.channels.every(item => item.success) ? 'success' : 'failure'
+        }))
+    };
+}
+
+// 构建汇总报告的一页 (结构化消息，由 message_renderer.js 按通知平台渲染)
+// indices 为本页包含的账号序号；第一页 (first) 包含概览段落；compact 时每个账号一行
+// 标题由通知通道单独发送，这里只包含段落和页脚
+function buildReportPage(run, deliveries, indices, first, compact) {
+    const results = run.results;
+    const sections = first ? buildSummarySections(run, deliveries) : [];
+    if (compact) {
+        if (indices.length > 0) {
+            sections.push({ title: '📋 签到结果', items: indices.map(index => buildCompactLine(results[index], index)) });
+        }
+    } else {
+        // 详细结果，每个账号一段
+        indices.forEach(index => sections.push(buildResultSection(results[index], index)));
+    }
+    
+    const footer = buildFooter(results);
+    if (run.held) {
+        footer.push(`⏸️ 暂存的通知，签到执行于 ${formatTimestamp(new Date(run.at))}`);
+    }
+    return { sections, footer };
+}
+
+// 将报告按账号分页: buildPage(indices, first) 构建包含指定账号的一页，fits(message) 判断一页是否在长度上限内
+// 第一页始终包含概览段落 (放不下任何账号时单独一页)；单个账号超过上限时单独一页
+function paginateReport(count, buildPage, fits) {
+    const pages = [];
+    let current = [];
+    for (let index = 0; index < count; index++) {
+        const candidate = current.concat(index);
+        if (fits(buildPage(candidate, pages.length === 0))) {
+            current = candidate;
+        } else if (current.length > 0 || pages.length === 0) {
+            pages.push(current);
+            current = [index];
+        } else {
+            current = candidate;
+        }
+    }
+    if (current.length > 0 || pages.length === 0) {
+        pages.push(current);
+    }
+    return pages.map((indices, page) => buildPage(indices, page === 0));
+}
+
+// 是否使用紧凑布局 (YBT_NOTIFY_LAYOUT)
+function useCompactLayout(count) {
+    if (CONFIG.NOTIFY_LAYOUT === 'auto') {
+        return count >= COMPACT_THRESHOLD;
+    }
+    if (CONFIG.NOTIFY_LAYOUT !== 'compact' && CONFIG.NOTIFY_LAYOUT !== 'detail') {
+        log(`YBT_NOTIFY_LAYOUT 无效: ${CONFIG.NOTIFY_LAYOUT}，可选 detail / compact / auto`, 'WARN');
+    }
+    return CONFIG.NOTIFY_LAYOUT === 'compact';
+}
+
+// 紧凑布局中一个账号的结果行，如 "✅ 1. alice 🆕 +50 MB / 共 1500 MB / 累计 30 天"
+function buildCompactLine(result, index) {
+    const name = `${index + 1}. ${result.alias || result.username}`;
+    if (result.formatChanged) {
+        return `⚠️ ${name} ${result.message}`;
+    }
+    if (!result.success) {
+        return result.failureDays > 0 ?
+            `❌ ${name} ${result.message} (连续失败 ${result.failureDays} 天，上次成功 ${result.lastSuccess || '无记录'})` :
+            `❌ ${name} ${result.message}`;
+    }
+    
+    const icon = result.dataSource === 'cache' ? ' 💾' : result.isFirstSign ? ' 🆕' : '';
+    const data = result.data || {};
+    const parts = [];
+    if (typeof data.get_traffic === 'number') {
+        parts.push(`+${data.get_traffic} MB`);
+    }
+    if (typeof data.total_traffic === 'number') {
+        parts.push(`共 ${data.total_traffic} MB`);
+    }
+    if (typeof data.sign_count === 'number') {
+        parts.push(`累计 ${data.sign_count} 天`);
+    }
+    return `✅ ${name}${icon} ${parts.length > 0 ? parts.join(' / ') : result.message}`;
+}
+
+// 分页发送报告: 超过长度上限时按账号分成多条，标题带 (1/3) 序号，第一条包含概览
+// 青龙 sendNotify.js 按 YBT_NOTIFY_MAX_LENGTH (默认 1500 字符) 分页；内置通道按各通道实际发送格式的长度上限分别分页
+async function sendPagedReport(title, count, buildPage) {
+    const maxLength = CONFIG.NOTIFY_MAX_LENGTH || (useBuiltinNotify ? Infinity : DEFAULT_NOTIFY_MAX_LENGTH);
+    const fitsLength = message => renderPlainText(message).length <= maxLength;
+    
+    // 按通道分组: 青龙 sendNotify.js 或没有配置内置通道时整体发送一次
+    const channelKeys = useBuiltinNotify && notifyChannels ? notifyChannels.getConfiguredChannels() : [];
+    const groups = channelKeys.length > 0 ?
+        channelKeys.map(key => ({
+            channels: [key],
+            // 标题按最长的分页序号计算
+            fits: message => fitsLength(message) &&
+                notifyChannels.fitsChannel(key, `${title} (99/99)`, renderPlainText(message), message)
+        })) :
+        [{ channels: null, fits: fitsLength }];
+    
+    for (const group of groups) {
+        const pages = paginateReport(count, buildPage, group.fits);
+        if (pages.length > 1) {
+            log(`${title}${group.channels ? ` (${group.channels[0]})` : ''}分为 ${pages.length} 条发送`);
+        }
+        for (let i = 0; i < pages.length; i++) {
+            const pageTitle = pages.length > 1 ? `${title} (${i + 1}/${pages.length})` : title;
+            try {
+                await debugSendNotify(pageTitle, renderPlainText(pages[i]), pages[i], group.channels);
+            } catch (error) {
+                log(`通知发送失败: ${error.message}`, 'ERROR');
+            }
+        }
+    }
+}
+
+// 发送一次执行的汇总报告
+async function sendSummaryReport(run, deliveries) {
+    const compact = useCompactLayout(run.results.length);
+    await sendPagedReport('YBT 签到报告', run.results.length, (indices, first) => {
+        return buildReportPage(run, deliveries, indices, first, compact);
+    });
+}
+
+// 按账号整理多次执行的结果，返回 [{ username, entries: [{ date, at, result }] }]，账号按首次出现的顺序排列
+function collectRunEntries(runs) {
+    const accounts = [];
+    const byName = {};
+    runs.forEach(run => {
+        run.results.forEach(result => {
+            if (!byName[result.username]) {
+                byName[result.username] = { username: result.username, entries: [] };
+                accounts.push(byName[result.username]);
+            }
+            byName[result.username].entries.push({ date: run.date, at: run.at, result });
+        });
+    });
+    return accounts;
+}
+
+// 合并消息中显示的执行时间，如 "10-19 08:00"
+function formatRunTime(entry) {
+    return `${entry.date.slice(5)} ${getLocalTime(new Date(entry.at))}`;
+}
+
+// 构建合并多次执行的汇总 (每日汇总或免打扰时段暂存的通知) 的一页，每个账号一行，以最后一次执行的结果为准
+function buildDigestPage(runs, accounts, deliveries, indices, first) {
+    const latest = accounts.map(account => account.entries[account.entries.length - 1].result);
+    const sections = [];
+    if (first) {
+        const successCount = latest.filter(r => r.success).length;
+        const overview = [
+            { label: '执行次数', value: `${runs.length} 次` },
+            { label: '时间范围', value: `${formatRunTime(runs[0])} ~ ${formatRunTime(runs[runs.length - 1])}` },
+            { label: '总账号数', value: `${accounts.length} 个` },
+            { label: '签到成功', value: `${successCount} 个`, badge: 'success' }
+        ];
+        if (successCount < accounts.length) {
+            overview.push({ label: '签到失败', value: `${accounts.length - successCount} 个`, badge: 'failure' });
+        }
+        sections.push({ title: '📊 汇总概览', rows: overview });
+        
+        const changes = [];
+        runs.forEach(run => run.changes.forEach(change => changes.push({ change, time: formatRunTime(run) })));
+        if (changes.length > 0) {
+            sections.push(buildChangeSection(changes));
+        }
+        const skipped = runs[runs.length - 1].skipped;
+        if (skipped && skipped.length > 0) {
+            sections.push(buildSkippedSection(skipped));
+        }
+        if (deliveries.length > 0) {
+            sections.push(buildDeliverySection(deliveries));
+        }
+    }
+    
+    // 多次执行的账号在行末附上各次执行的结果，如 [❌✅]
+    if (indices.length > 0) {
+        sections.push({
+            title: '📋 签到结果 (以最后一次执行为准)',
+            items: indices.map(index => {
+                const entries = accounts[index].entries;
+                const marks = entries.length > 1 ? ` [${entries.map(entry => entry.result.success ? '✅' : '❌').join('')}]` : '';
+                return `${buildCompactLine(latest[index], index)}${marks}`;
+            })
+        });
+    }
+    return { sections, footer: buildFooter(latest) };
+}
+
+// 发送合并多次执行的汇总
+async function sendDigestReport(runs, deliveries) {
+    const accounts = collectRunEntries(runs);
+    await sendPagedReport('YBT 签到汇总', accounts.length, (indices, first) => {
+        return buildDigestPage(runs, accounts, deliveries, indices, first);
+    });
+}
+
+// 构建单个账号的结果段落，index 为序号 (从 0 开始，为 null 时不显示序号)
+function buildResultSection(result, index) {
+    let dataSourceIcon = '';
+    
+    // 添加数据源标识
+    if (result.dataSource === 'cache') {
+        dataSourceIcon = ' 💾';
+    } else if (result.isFirstSign) {
+        dataSourceIcon = ' 🆕';
+    }
+    
+    const rows = [{ label: '状态', value: result.message }];
+    const items = [];
+    if (result.details) {
+        // "名称: 值" 格式的详情作为键值行，其余作为列表项
+        const details = result.details.split('\n').filter(line => line.trim());
+        details.forEach(detail => {
+            if (detail.includes('流量信息需首次签到获取')) {
+                items.push(`⚠️ ${detail.trim()}`);
+                return;
+            }
+            const match = detail.match(/^\s*([^:：]+)[:：]\s*(.*)$/);
+            const known = match && DETAIL_ICONS.find(item => match[1].includes(item.keyword));
+            if (known) {
+                rows.push({ label: `${known.icon} ${match[1].trim()}`, value: match[2] });
+            } else {
+                items.push(`💬 ${detail.trim()}`);
+            }
+        });
+    }
+    if (!result.success && result.failureDays > 0) {
+        rows.push({ label: '⏳ 连续失败', value: `${result.failureDays} 天` });
+        rows.push({ label: '🗓️ 上次成功', value: result.lastSuccess || '无记录' });
+    }
+    
+    return {
+        title: `${index === null ? '' : `${index + 1}. `}${result.alias || result.username}${dataSourceIcon}`,
+        badge: result.success ? 'success' : result.formatChanged ? 'warning' : 'failure',
+        rows,
+        items
+    };
+}
+
+// 构建页脚: 时间、执行方式及标记说明
+function buildFooter(results) {
+    const footer = [`🕐 ${formatTimestamp()}`, '🤖 青龙面板自动执行'];
+    
+    // 添加缓存说明
+    if (results.some(r => r.dataSource === 'cache')) {
+        footer.push('💡 💾标记表示使用缓存数据');
+    }
+    if (results.some(r => r.isFirstSign)) {
+        footer.push('💡 🆕标记表示今日首次签到');
+    }
+    return footer;
+}
+
+// 构建发送给账号本人的消息: 只包含该账号的结果，entries 为 [{ date, at, result }]
+// 合并了多次执行时以最后一次的结果为准，并列出各次执行的结果
+function buildAccountMessage(entries) {
+    const latest = entries[entries.length - 1].result;
+    const sections = [buildResultSection(latest, null)];
+    if (entries.length > 1) {
+        sections.push({
+            title: '🕘 各次执行',
+            items: entries.map(entry => `${formatRunTime(entry)} ${entry.result.success ? '✅' : '❌'} ${entry.result.message}`)
+        });
+    }
+    return { sections, footer: buildFooter([latest]) };
+}
+
+// 调试用的通知发送函数，message 为结构化消息，channels 为只使用的通道 (均仅内置通知通道使用)
+async function debugSendNotify(title, content, message = null, channels = null) {
+    log('=== 通知调试信息 ===');
+    log(`标题: ${title}`);
+    log(`内容长度: ${content.length}`);
+    log(`内容预览: ${content.substring(0, 100)}...`);
+    
+    try {
+        // 检查 sendNotify 函数是否存在
+        if (typeof sendNotify !== 'function') {
+            throw new Error('sendNotify 函数未定义');
+        }
+        
+        log('开始调用 sendNotify 函数...');
+        
+        // 尝试发送通知
+        const result = useBuiltinNotify ?
+            await sendNotify(title, content, channels ? { message, channels } : { message }) :
+            await sendNotify(title, content);
+        log(`sendNotify 返回值: ${JSON.stringify(result)}`);
+        
+        return result;
+    } catch (error) {
+        log(`调试发现错误: ${error.message}`, 'ERROR');
+        log(`错误堆栈: ${error.stack}`, 'ERROR');
+        throw error;
+    }
+}
+
+// 将账号各自的签到结果发送到其 notify 选项指定的通知通道 (可为每个通道指定接收目标)
+// runs 为要发送的各次执行，只包含其中需要通知该账号 (run.accounts) 的结果，多次执行合并为一条
+// 每个账号、每个通道单独发送，某个发送失败不影响其他；返回发送情况 [{ name, channels: [{ label, success }] }]
+async function sendAccountNotifications(accounts, runs) {
+    const deliveries = [];
+    for (const account of accounts) {
+        if (account.notify.length === 0) {
+            continue;
+        }
+        
+        const dueRuns = runs.filter(run => run.accounts.indexOf(account.username) !== -1);
+        const collected = collectRunEntries(dueRuns).find(item => item.username === account.username);
+        if (!collected) {
+            continue;
+        }
+        
+        const message = buildAccountMessage(collected.entries);
+        const content = renderPlainText(message);
+        const title = `${collected.entries.length > 1 ? 'YBT 签到汇总' : 'YBT 签到报告'} - ${getDisplayName(account)}`;
+        const delivery = { name: getDisplayName(account), channels: [] };
+        
+        for (const entry of account.notify) {
+            const channel = notifyChannels.CHANNELS[entry.channel];
+            const env = {};
+            if (entry.target) {
+                // 指定了接收目标时不沿用全局的签名密钥 (账号本人的机器人密钥不同)，未配置 secret 时不加签
+                env[channel.target] = entry.target;
+                if (channel.secret) {
+                    env[channel.secret] = entry.secret;
+                }
+            }
+            let success = false;
+            try {
+                log(`发送账号 ${account.username} 的签到结果到 ${channel.name}${entry.target ? ' (指定接收目标)' : ''}`);
+                const result = await notifyChannels.sendNotify(title, content, { channels: [entry.channel], env, log, message });
+                success = result.success;
+            } catch (error) {
+                log(`账号 ${account.username} 的签到结果发送失败: ${error.message}`, 'ERROR');
+            }
+            if (!success) {
+                log(`账号 ${account.username} 的签到结果未能发送到 ${channel.name}`, 'WARN');
+            }
+            delivery.channels.push({ label: channel.name, success });
+        }
+        deliveries.push(delivery);
+    }
+    return deliveries;
+}
+
+// ==================== 运行状态 ====================
+
+// 检查运行状态的格式 { accounts: 账号状态, notify: 通知策略状态 }，没有数据时返回空的状态
+function normalizeState(state) {
+    if (state === null) {
+        return {};
+    }
+    if (typeof state !== 'object' || Array.isArray(state)) {
+        throw new Error('格式不正确');
+    }
+    return state;
+}
+
+// 读取运行状态
+function readState() {
+    try {
+        return normalizeState(getStore().read('state'));
+    } catch (error) {
+        log(`读取运行状态失败: ${error.message}`, 'WARN');
+        return {};
+    }
+}
+
+// 加锁更新运行状态: fn(state) 直接修改读取到的最新状态，返回 fn 的返回值 (写入失败时返回 null)
+function updateState(fn) {
+    let result = null;
+    try {
+        getStore().update('state', value => {
+            let state;
+            try {
+                state = normalizeState(value);
+            } catch (error) {
+                log(`运行状态${error.message}，将重新记录`, 'WARN');
+                state = {};
+            }
+            result = fn(state);
+            return state;
+        });
+    } catch (error) {
+        log(`写入运行状态失败: ${error.message}`, 'ERROR');
+    }
+    return result;
+}
+
+// 更新各账号的状态: 连续失败天数、上次成功日期，以及连续返回"用户不存在"的天数 (同一天多次执行只计一天)
+// 结果中附上 failureDays 和 lastSuccess 供报告显示；连续 YBT_AUTO_DISABLE_DAYS 天返回"用户不存在"的账号自动停用
+// 返回本次新停用的账号 [{ name, record }]
+function updateAccountStates(state, results) {
+    const today = getTodayString();
+    const accountStates = state.accounts || {};
+    const disabled = [];
+    
+    results.forEach(result => {
+        // 接口格式变化不能说明账号有问题，不更新账号状态
+        if (result.formatChanged) {
+            return;
+        }
+        const record = Object.assign({ failure_days: 0, invalid_days: 0, last_success: null }, accountStates[result.username]);
+        if (result.success) {
+            record.failure_days = 0;
+            record.invalid_days = 0;
+            record.last_success = today;
+            record.last_failure = null;
+            record.last_invalid = null;
+        } else {
+            if (record.last_failure !== today) {
+                record.failure_days++;
+                record.last_failure = today;
+            }
+            // 网络错误等其他失败不能说明账号无效，不计入也不清零
+            if (result.invalidAccount && record.last_invalid !== today) {
+                record.invalid_days++;
+                record.last_invalid = today;
+            }
+        }
+        
+        if (CONFIG.AUTO_DISABLE_DAYS > 0 && record.invalid_days >= CONFIG.AUTO_DISABLE_DAYS && !record.disabled) {
+            record.disabled = { date: today, reason: `连续 ${record.invalid_days} 天返回"用户不存在"` };
+            disabled.push({ name: result.alias || result.username, record });
+            log(`账号 ${result.username} ${record.disabled.reason}，已自动停用`, 'WARN');
+        }
+        
+        result.failureDays = record.failure_days;
+        result.lastSuccess = record.last_success;
+        accountStates[result.username] = record;
+    });
+    
+    state.accounts = accountStates;
+    return disabled;
+}
+
+// 重新启用自动停用的账号 (--enable)，names 为用户名列表，包含 all 时启用全部；连续失败天数重新计算
+function enableAccounts(names) {
+    updateState(state => {
+        const accountStates = state.accounts || {};
+        const targets = names.indexOf('all') !== -1 ?
+            Object.keys(accountStates).filter(username => accountStates[username].disabled) :
+            names;
+        if (targets.length === 0) {
+            log('没有自动停用的账号');
+        }
+        targets.forEach(username => enableAccount(accountStates, username));
+    });
+}
+
+// 重新启用一个账号
+function enableAccount(accountStates, username) {
+    const record = accountStates[username];
+    if (!record || !record.disabled) {
+        log(`账号 ${username} 没有被自动停用`, 'WARN');
+        return;
+    }
+    delete record.disabled;
+    record.failure_days = 0;
+    record.invalid_days = 0;
+    record.last_failure = null;
+    record.last_invalid = null;
+    log(`账号 ${username} 已重新启用`);
+}
+
+// 构建账号自动停用的通知消息 (每个账号只在停用时通知一次)
+function buildDisabledMessage(disabled) {
+    return {
+        sections: disabled.map(item => ({
+            title: item.name,
+            badge: { status: 'warning', text: '已停用' },
+            rows: [
+                { label: '原因', value: item.record.disabled.reason },
+                { label: '上次成功', value: item.record.last_success || '无记录' }
+            ]
+        })).concat({ text: '之后的执行将跳过这些账号，确认账号有效后执行 ybt_sign.js --enable 用户名 重新启用' }),
+        footer: buildFooter([])
+    };
+}
+
+// 找出本次需要通知的接口格式变化: 按状态码和响应结构分组，同一种格式当天已通知过的不再通知
+// 已通知的格式记录在 state.api_format，返回 [{ status, shape, difference, sample, names }]
+function detectFormatChanges(state, results) {
+    const today = getTodayString();
+    const record = state.api_format && state.api_format.date === today ? state.api_format : { date: today, notified: [] };
+    const changes = [];
+    results.filter(result => result.formatChanged).forEach(result => {
+        const key = `${result.formatChanged.status} ${result.formatChanged.shape}`;
+        const existing = changes.find(change => change.key === key);
+        if (existing) {
+            existing.names.push(result.alias || result.username);
+        } else if (record.notified.indexOf(key) === -1) {
+            changes.push(Object.assign({ key, names: [result.alias || result.username] }, result.formatChanged));
+        } else {
+            log(`该响应格式今天已通知过: HTTP ${key}`);
+        }
+    });
+    
+    record.notified = record.notified.concat(changes.map(change => change.key));
+    state.api_format = record;
+    return changes;
+}
+
+// 构建接口格式变化的通知消息: 受影响的账号、与已知格式的差异和脱敏的响应样例
+function buildFormatChangeMessage(changes) {
+    return {
+        sections: [{ text: '签到接口返回了无法识别的响应，接口可能已经改版，请检查并更新 ybt_sign.js。以下账号的签到结果未知，不计入账号的连续失败。' }]
+            .concat(...changes.map(change => [{
+                title: `HTTP ${change.status}`,
+                badge: { status: 'warning', text: '格式变化' },
+                rows: [
+                    { label: '涉及账号', value: change.names.join(', ') },
+                    { label: '差异', value: change.difference }
+                ]
+            }, {
+                text: `响应样例 (已脱敏):\n${change.sample}`
+            }])),
+        footer: buildFooter([])
+    };
+}
+
+// ==================== 通知策略 ====================
+
+// 通知策略的说明
+const NOTIFY_POLICIES = {
+    always: '每次执行都发送',
+    failure: '有账号签到失败时发送',
+    change: '账号状态变化时发送',
+    digest: '每日汇总'
+};
+
+// 最多暂存的执行次数，超过时丢弃最早的
+const MAX_PENDING_RUNS = 50;
+
+// 解析时刻 "HH:MM"，返回当天的分钟数，格式无效时返回 null
+function parseTimeOfDay(value) {
+    const match = String(value).trim().match(/^(\d{1,2})[:：](\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// 获取通知策略 (YBT_NOTIFY_POLICY)，无效时使用 always
+function getNotifyPolicy() {
+    if (NOTIFY_POLICIES[CONFIG.NOTIFY_POLICY]) {
+        return CONFIG.NOTIFY_POLICY;
+    }
+    log(`YBT_NOTIFY_POLICY 无效: ${CONFIG.NOTIFY_POLICY}，可选 ${Object.keys(NOTIFY_POLICIES).join(' / ')}，将使用 always`, 'WARN');
+    return 'always';
+}
+
+// 解析免打扰时段 (YBT_QUIET_HOURS)，如 23:00-07:00 (可跨午夜)，返回 { start, end } 分钟数，未设置或无效时返回 null
+function getQuietHours() {
+    if (!CONFIG.QUIET_HOURS.trim()) {
+        return null;
+    }
+    const parts = CONFIG.QUIET_HOURS.split(/\s*[-~]\s*/);
+    const start = parts.length === 2 ? parseTimeOfDay(parts[0]) : null;
+    const end = parts.length === 2 ? parseTimeOfDay(parts[1]) : null;
+    if (start === null || end === null || start === end) {
+        log(`YBT_QUIET_HOURS 格式无效: ${CONFIG.QUIET_HOURS}，应为 23:00-07:00 格式，将不使用免打扰`, 'WARN');
+        return null;
+    }
+    return { start, end };
+}
+
+// 当前是否处于免打扰时段
+function isQuietTime(quiet) {
+    if (!quiet) {
+        return false;
+    }
+    const minutes = parseTimeOfDay(getLocalTime());
+    return quiet.start < quiet.end ?
+        minutes >= quiet.start && minutes < quiet.end :
+        minutes >= quiet.start || minutes < quiet.end;
+}
+
+// 是否已到每日汇总的发送时间 (YBT_DIGEST_TIME)
+function isDigestTime() {
+    let digestTime = parseTimeOfDay(CONFIG.DIGEST_TIME);
+    if (digestTime === null) {
+        log(`YBT_DIGEST_TIME 格式无效: ${CONFIG.DIGEST_TIME}，应为 21:00 格式，将使用 21:00`, 'WARN');
+        digestTime = 21 * 60;
+    }
+    return parseTimeOfDay(getLocalTime()) >= digestTime;
+}
+
+// 记录一次执行: 与上次执行的状态 (lastStatus，会被更新) 比较得出状态变化，并按通知策略确定需要通知的内容
+// 没有上次状态的账号视为上次成功；返回 { date, at, results, changes, summary, accounts }
+// summary 为是否需要发送汇总报告，accounts 为需要单独通知的账号
+function createRun(results, lastStatus, policy) {
+    const changes = [];
+    results.forEach(result => {
+        const status = result.success ? 'success' : 'failed';
+        if (status !== (lastStatus[result.username] || 'success')) {
+            changes.push({ username: result.username, name: result.alias || result.username, status, message: result.message });
+        }
+        lastStatus[result.username] = status;
+    });
+    
+    const due = results.filter(result => {
+        if (policy === 'failure') {
+            return !result.success;
+        }
+        if (policy === 'change') {
+            return changes.some(change => change.username === result.username);
+        }
+        return true;
+    }).map(result => result.username);
+    
+    return {
+        date: getTodayString(),
+        at: now().toISOString(),
+        results,
+        changes,
+        summary: due.length > 0,
+        accounts: due
+    };
+}
+
+// 发送若干次执行的通知: 先发送各账号的单独通知，再发送汇总报告 (只有一次执行时为普通报告，多次时合并为一条汇总)
+async function sendRuns(accounts, runs) {
+    const deliveries = await sendAccountNotifications(accounts, runs);
+    const summaryRuns = runs.filter(run => run.summary);
+    try {
+        log('准备发送通知...');
+        if (summaryRuns.length === 1) {
+            await sendSummaryReport(summaryRuns[0], deliveries);
+        } else if (summaryRuns.length > 1) {
+            await sendDigestReport(summaryRuns, deliveries);
+        }
+        
+        // 等待一下确保通知发送完成
+        await delay(1000);
+        log('通知发送完成');
+        
+    } catch (error) {
+        log(`通知发送失败: ${error.message}`, 'ERROR');
+        log(`错误详情: ${error.stack}`, 'ERROR');
+    }
+}
+
+// 按通知策略处理通知: results 为本次签到结果 (为 null 时只发送暂存的通知)
+// options.reports 为今天到期的周报 / 月报，options.notices 为账号停用等一次性通知 [{ title, message }]，
+// options.skipped 为本次跳过的自动停用账号 (显示在汇总报告中)
+// 需要通知的执行先加入暂存列表，不在免打扰时段时将暂存的执行一起发送；digest 策略只在到汇总时间后 (或跨天后) 发送
+// 周报 / 月报和一次性通知不受通知策略限制，只在免打扰时段暂存
+// 状态在发送前写入，发送失败的通知不会重复发送
+async function processNotifications(accounts, results, options = {}) {
+    const policy = getNotifyPolicy();
+    const quiet = getQuietHours();
+    log(`通知策略: ${NOTIFY_POLICIES[policy]}${quiet ? `，免打扰时段 ${CONFIG.QUIET_HOURS}` : ''}`);
+    
+    // 运行状态无法保存时仍按读取到的状态发送本次的通知
+    const plan = updateState(state => planNotifications(state, results, options, policy, quiet)) ||
+        planNotifications(readState(), results, options, policy, quiet);
+    
+    if (plan.runs.length > 0) {
+        // 之前暂存的执行在报告页脚注明执行时间
+        await sendRuns(accounts, plan.runs.map(run => run === plan.current ? run : Object.assign({ held: true }, run)));
+    }
+    for (const notice of plan.notices) {
+        try {
+            await debugSendNotify(notice.title, renderPlainText(notice.message), notice.message);
+        } catch (error) {
+            log(`通知发送失败: ${error.message}`, 'ERROR');
+        }
+    }
+    for (const report of plan.reports) {
+        try {
+            log(`发送${report.type === 'monthly' ? '月报' : '周报'}...`);
+            await sendReport(report.type, accounts, report.date);
+        } catch (error) {
+            log(`报告发送失败: ${error.message}`, 'ERROR');
+        }
+    }
+}
+
+// 根据通知策略更新运行状态 (state.notify)，返回本次要发送的 { current, runs, reports, notices }
+// current 为本次执行 (只发送暂存的通知时为 null)，runs 中其余为之前暂存的执行
+function planNotifications(state, results, options, policy, quiet) {
+    const reports = (options.reports || []).map(type => ({ type, date: getTodayString() }));
+    const notices = options.notices || [];
+    const notifyState = Object.assign({ last_status: {}, pending: [], held_reports: [], held_notices: [] }, state.notify);
+    const today = getTodayString();
+    let current = null;
+    if (results) {
+        current = createRun(results, notifyState.last_status, policy);
+        current.skipped = options.skipped || [];
+        if (current.changes.length > 0) {
+            log(`状态变化: ${current.changes.map(change => `${change.username} ${change.status === 'success' ? '恢复' : '失败'}`).join(', ')}`);
+        }
+        if (policy === 'digest') {
+            notifyState.pending.push(Object.assign(current, { summary: true, accounts: results.map(r => r.username) }));
+        } else if (current.summary) {
+            notifyState.pending.push(current);
+        } else {
+            log('根据通知策略，本次执行不发送通知');
+        }
+    }
+    
+    // 确定本次发送的执行和报告
+    const quietNow = isQuietTime(quiet);
+    let sendingRuns = [];
+    let sendingReports = [];
+    let sendingNotices = [];
+    if (quietNow) {
+        if (notifyState.pending.length > 0 || reports.length > 0 || notices.length > 0) {
+            log(`当前处于免打扰时段，通知暂存到 ${CONFIG.QUIET_HOURS.split(/\s*[-~]\s*/)[1]} 之后的第一次执行再发送`);
+        }
+        notifyState.held_reports = notifyState.held_reports.concat(reports);
+        notifyState.held_notices = notifyState.held_notices.concat(notices);
+    } else {
+        // 每日汇总未到发送时间时只发送之前日期未发出的汇总
+        sendingRuns = policy === 'digest' && !isDigestTime() ?
+            notifyState.pending.filter(run => run.date < today) :
+            notifyState.pending;
+        if (policy === 'digest' && sendingRuns.length < notifyState.pending.length) {
+            log(`今天的汇总将在 ${CONFIG.DIGEST_TIME} 之后的第一次执行发送`);
+        }
+        sendingReports = notifyState.held_reports.concat(reports);
+        sendingNotices = notifyState.held_notices.concat(notices);
+        notifyState.held_reports = [];
+        notifyState.held_notices = [];
+    }
+    
+    notifyState.pending = notifyState.pending.filter(run => sendingRuns.indexOf(run) === -1);
+    if (notifyState.pending.length > MAX_PENDING_RUNS) {
+        log(`暂存的通知超过 ${MAX_PENDING_RUNS} 次执行，丢弃最早的 ${notifyState.pending.length - MAX_PENDING_RUNS} 次`, 'WARN');
+        notifyState.pending = notifyState.pending.slice(-MAX_PENDING_RUNS);
+    }
+    state.notify = notifyState;
+    return { current, runs: sendingRuns, reports: sendingReports, notices: sendingNotices };
+}
+
+// 解析命令行参数: --report weekly|monthly、--flush 及 --enable user1,user2 (带值的参数也可写作 --report=weekly)
+function parseArgs(argv) {
+    const options = { report: null, flush: false, enable: null };
+    for (let i = 0; i < argv.length; i++) {
+        const [name, inlineValue] = argv[i].split(/=(.*)/s);
+        if (name === '--flush' && inlineValue === undefined) {
+            options.flush = true;
+        } else if (name === '--report') {
+            options.report = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (options.report !== 'weekly' && options.report !== 'monthly') {
+                throw new Error(`--report 应为 weekly 或 monthly: ${options.report}`);
+            }
+        } else if (name === '--enable') {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            options.enable = String(value || '').split(/[,，&\s]+/).filter(Boolean);
+            if (options.enable.length === 0) {
+                throw new Error('--enable 需要指定用户名，或 all 表示全部');
+            }
+        } else {
+            throw new Error(`未知参数: ${argv[i]}`);
+        }
+    }
+    if ([options.report, options.flush, options.enable].filter(Boolean).length > 1) {
+        throw new Error('--report、--flush 和 --enable 不能同时使用');
+    }
+    return options;
+}
+
+// 主函数
+async function main(argv = process.argv.slice(2)) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        log(error.message, 'ERROR');
+        process.exitCode = 2;
+        return;
+    }
+    
     log('='.repeat(50));
-    log('YBT 签到脚本开始执行 (缓存版)');
+    const mode = options.report ? '报告模式' : options.flush ? '发送暂存通知' : options.enable ? '启用账号' : '缓存版';
+    log(`YBT 签到脚本开始执行 (${mode})`);
     log('='.repeat(50));
     
-    const users = getUserList();
-    if (users.length === 0) {
+    checkTimezone();
+    applyClockOverride();
+    log(`使用时区: ${CONFIG.TIMEZONE}，今天是 ${getTodayString()}`);
+    breaker.failures = 0;
+    breaker.open = false;
+    
+    // 重新启用自动停用的账号，不签到
+    if (options.enable) {
+        enableAccounts(options.enable);
+        log('='.repeat(50));
+        return;
+    }
+    
+    const { accounts: allAccounts, errors } = getAccountList();
+    errors.forEach(error => log(`账号配置错误: ${error}`, 'ERROR'));
+    allAccounts.filter(account => !account.enabled).forEach(account => {
+        log(`账号 ${account.username} 已停用，跳过`);
+    });
+    const accounts = allAccounts.filter(account => account.enabled);
+    if (accounts.length === 0) {
         log('没有找到有效的用户配置，脚本退出', 'ERROR');
         return;
     }
     
-    log(`发现 ${users.length} 个用户: ${users.join(', ')}`);
-    log(`缓存文件路径: ${CONFIG.CACHE_FILE}`);
+    // 报告模式: 不签到，只根据历史记录发送报告
+    if (options.report) {
+        log(`签到历史: ${getStore().location('history')}`);
+        try {
+            await sendReport(options.report, accounts);
+        } catch (error) {
+            log(`报告发送失败: ${error.message}`, 'ERROR');
+        }
+        log('='.repeat(50));
+        return;
+    }
+    
+    // 只发送暂存的通知，不签到
+    if (options.flush) {
+        await processNotifications(accounts, null);
+        log('='.repeat(50));
+        return;
+    }
+    
+    // 跳过自动停用的账号
+    const accountStates = readState().accounts || {};
+    const skipped = [];
+    const signAccounts = accounts.filter(account => {
+        const record = accountStates[account.username];
+        if (!record || !record.disabled) {
+            return true;
+        }
+        log(`账号 ${account.username} 已于 ${record.disabled.date} 自动停用 (${record.disabled.reason})，跳过；` +
+            `执行 --enable ${account.username} 可重新启用`, 'WARN');
+        skipped.push({ name: getDisplayName(account), record });
+        return false;
+    });
+    if (signAccounts.length === 0) {
+        log('所有账号均已自动停用，脚本退出', 'ERROR');
+        return;
+    }
+    
+    log(`发现 ${signAccounts.length} 个用户: ${signAccounts.map(account => account.username).join(', ')}`);
+    log(`缓存文件: ${getStore().location('cache')}`);
+    checkRequestConfig();
     
     // 清理过期缓存
-    readCache();
+    cleanCache();
+    
+    let pacing = parseDelayRange(CONFIG.DELAY);
+    if (!pacing) {
+        log(`YBT_DELAY 格式无效: ${CONFIG.DELAY}，应为 1000 或 1000-3000，将使用 1000`, 'WARN');
+        pacing = { min: 1000, max: 1000 };
+    }
+    log(`并发数: ${CONFIG.CONCURRENCY}，请求间隔: ${pacing.min === pacing.max ? pacing.min : `${pacing.min}-${pacing.max}`}ms`);
     
-    const results = [];
+    // 随机推迟开始时间
+    if (CONFIG.START_JITTER > 0) {
+        const wait = randomBetween(0, Math.round(CONFIG.START_JITTER * 1000));
+        log(`随机等待 ${(wait / 1000).toFixed(1)} 秒后开始签到`);
+        await delay(wait);
+    }
     
-    // 逐个处理用户签到
-    for (let i = 0; i < users.length; i++) {
-        const username = users[i];
+    // 以有限并发处理用户签到，结果按账号顺序排列
+    const results = await runPool(signAccounts, CONFIG.CONCURRENCY, async (account, index) => {
+        const username = account.username;
+        // 每个并发任务从第二个账号开始，请求前随机间隔一段时间，避免请求过于频繁
+        if (index >= CONFIG.CONCURRENCY && !breaker.open) {
+            await delay(randomBetween(pacing.min, pacing.max));
+        }
         
         try {
-            const signResult = await performSign(username);
+            const signResult = await performSign(username, account.requestOptions);
             const processedResult = processSignResult(username, signResult);
-            results.push(processedResult);
+            processedResult.alias = account.alias;
             
             log(`用户 ${username}: ${processedResult.message} (数据源: ${processedResult.dataSource})`);
             if (processedResult.details) {
                 log(`详情: ${processedResult.details.replace(/\n/g, ' | ')}`);
             }
-            
-            // 避免请求过于频繁，添加延迟
-            if (i < users.length - 1) {
-                await delay(1000);
-            }
+            return processedResult;
             
         } catch (error) {
             log(`处理用户 ${username} 时发生未知错误: ${error.message}`, 'ERROR');
-            results.push({
+            return {
                 username,
+                alias: account.alias,
                 success: false,
                 message: '处理失败',
                 details: error.message,
                 isFirstSign: false,
                 dataSource: 'error'
-            });
+            };
         }
-    }
+    });
     
     // 输出汇总结果
     log('='.repeat(50));
@@ -468,30 +2371,26 @@ async function main() {
     
     log(`成功: ${successCount}/${results.length} (首次: ${firstSignCount}, 缓存: ${cachedCount})`);
     
-    // 发送通知
-    try {
-        const notifyMessage = formatNotifyMessage(results);
-        log('准备发送通知...');
-        log(`通知内容长度: ${notifyMessage.length} 字符`);
-        
-        // 检查通知内容是否过长，如果超过1500字符则截断
-        let finalMessage = notifyMessage;
-        if (notifyMessage.length > 1500) {
-            finalMessage = notifyMessage.substring(0, 1400) + '\n\n...(内容过长已截断)';
-            log('通知内容过长，已自动截断', 'WARN');
-        }
-        
-        // 使用调试函数发送通知
-        await debugSendNotify('YBT 签到报告', finalMessage);
-        
-        // 等待一下确保通知发送完成
-        await delay(1000);
-        log('通知发送完成');
-        
-    } catch (error) {
-        log(`通知发送失败: ${error.message}`, 'ERROR');
-        log(`错误详情: ${error.stack}`, 'ERROR');
+    // 记录签到历史
+    updateHistory(results);
+    
+    // 更新账号的连续失败天数，连续多天返回"用户不存在"的账号自动停用并通知一次
+    // 接口返回无法识别的响应时单独通知接口格式变化 (同一种格式每天一次)
+    const stateChanges = updateState(state => ({
+        disabled: updateAccountStates(state, results),
+        formatChanges: detectFormatChanges(state, results)
+    })) || { disabled: [], formatChanges: detectFormatChanges({}, results) };
+    const notices = [];
+    if (stateChanges.formatChanges.length > 0) {
+        notices.push({ title: 'YBT 接口格式变化', message: buildFormatChangeMessage(stateChanges.formatChanges) });
     }
+    if (stateChanges.disabled.length > 0) {
+        notices.push({ title: 'YBT 账号已自动停用', message: buildDisabledMessage(stateChanges.disabled) });
+    }
+    
+    // 按通知策略发送签到结果、账号停用通知及今天到期的定期报告 (YBT_REPORT)
+    // 配置了 notify 的账号先单独发送给账号本人，发送情况附在汇总报告中
+    await processNotifications(accounts, results, { reports: getDueReports(), notices, skipped });
     
     log('='.repeat(50));
 }
@@ -515,4 +2414,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { main };
\ No newline at end of file
+module.exports = { main, setClock, getTodayString };
\ No newline at end of file